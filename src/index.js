@@ -1,11 +1,16 @@
 // src/index.js — YATI Worker (Cloudflare Workers)
 //
-// - Cron: detecta sismo nuevo (XOR), consulta Railway /alerta/v1, filtra targets y envía por Twilio
+// - Cron: detecta sismo nuevo (XOR / USGS / EMSC / CSN), consulta Railway /alerta/v1, filtra targets y envía por Twilio
 // - Guarda en KV:
-//    - last_seen_event_id, last_seen_mag, last_seen_at
+//    - last_seen_event_id, last_seen_mag, last_seen_at, last_seen_event_time
 //    - last_alerted_event_id, last_alerted_payload_id, last_alerted_mag, last_alerted_at
+//    - event_v1:<id> (registro por evento) y pending_events_v1 (reintentos)
+//    - dlv_v1:<id>:<destinatario> (ledger de entrega: reintenta solo fallidos, nunca duplica)
 // - Endpoint manual: /test-alert (protegido por ENABLE_TEST_ALERT + PIN)
 // - Endpoint TwiML: /twiml (para llamadas, opcional)
+// - Endpoint push: POST /ingest (firmado HMAC; mismo pipeline que el cron)
+// - Durable Object YatiPoller (opcional): polling cada POLL_INTERVAL_SEC durante ventanas de réplicas
+// - Durable Object YatiLock (opcional): lease por evento alrededor del despacho (sin él: lease best-effort en KV, sin exclusión mutua real)
 //
 // ✅ Self-healing HTML:
 //   - /public sirve HTML desde KV (public_html_v1)
@@ -14,10 +19,101 @@
 //
 // ✅ Proxy estáticos (fallback):
 //   - /static/* -> proxy hacia Railway, por si quedara algún asset relativo apuntando al Worker
+//
+// ✅ Backlog completo:
+//   - Procesa TODOS los eventos de XOR posteriores a last_seen (orden cronológico), no solo events[0]
+//   - Cada evento se evalúa/alerta por separado; Railway caído o 0 envíos -> queda en pending_events_v1
+//   - EVENT_MAX_AGE_MINUTES: eventos más viejos (tras una caída) se registran pero no se alertan
+//
+// ✅ Multi-fuente:
+//   - EVENT_SOURCES="xor,usgs,emsc,csn" -> adaptadores XOR, FDSN GeoJSON y QuakeML a un modelo común
+//   - EVENT_SOURCES_MODE="all" combina; "failover" usa la primera fuente que responda
+//   - URL por fuente: XOR_API_URL o <FUENTE>_SOURCE_URL (+ <FUENTE>_SOURCE_TYPE para fuentes propias)
+//   - Cursor por fuente en cursor_v1:<fuente>; ids de evento "<fuente>:<id>"
+//
+// ✅ Correlación entre fuentes:
+//   - Mismo sismo en XOR/USGS/EMSC (ids y horas distintas) -> un evento fusionado, un solo SMS
+//   - Ventanas CORRELATE_WINDOW_SEC / CORRELATE_DISTANCE_KM / CORRELATE_MAG_DELTA
+//   - Origen preferido según SOURCE_PRIORITY; índice en recent_events_v1
+//
+// ✅ Revisiones:
+//   - Eventos alertados se vigilan (alerted_events_v1); si cambia M o ubicación -> SMS "YATI CORRECCION"
+//   - Si desaparece del feed o baja del umbral global -> SMS "YATI ANULADA"
+//
+// ✅ Fallback sin Railway:
+//   - Si /alerta/v1 falla, estima MMI por localidad (IPE AWW2012 + catálogo embebido o localidades_catalog_v1)
+//   - Mismo formato { evento, localidades } -> buildMessageCompact y filtro de targets funcionan igual
+//
+// ✅ Llamadas resilientes (XOR / fuentes / Railway):
+//   - Timeout por llamada, reintentos con backoff+jitter dentro de CRON_BUDGET_MS
+//   - Circuit breaker por upstream persistido en KV (cb_v1:<upstream>) con estadísticas de fallos
+//
+// ✅ Railway "aún no listo":
+//   - Si /alerta/v1 responde otro evento (payloadId != evento actual) no se alerta con esos datos
+//   - El evento queda en state=enriching y se reintenta cada tick hasta RAILWAY_READY_DEADLINE_SEC;
+//     vencido el plazo se usa la estimación local
+//
+// ✅ Ledger de entrega por destinatario:
+//   - dlv_v1:<evento>:<telefono> con status sending/sent/failed/unknown e intentos
+//   - Un tick interrumpido se retoma: solo se reintentan los fallidos (DELIVERY_MAX_ATTEMPTS,
+//     DELIVERY_DEADLINE_MIN); "sending" huérfano pasa a unknown y nunca se reenvía
+//
+// ✅ Envío por cola (Cloudflare Queues):
+//   - El tick encola un mensaje por destinatario en ALERT_QUEUE; el consumer queue() envía en paralelo
+//   - Reintentos automáticos con backoff y dead-letter (yati-alerts-dlq); sin binding, envío inline
+//   - Envío en paralelo acotado (DISPATCH_CONCURRENCY, DISPATCH_RATE_PER_SEC), respeta Retry-After
+//     de Twilio (429/503) y notifica primero a las localidades con mayor intensidad predicha
+//
+// ✅ Estado de entrega:
+//   - POST /twilio/status (StatusCallback, validado con X-Twilio-Signature) -> carrier_status en el ledger
+//   - GET /admin/delivery?event=<id> (Bearer ADMIN_TOKEN): entregados / no entregados por evento y localidad
+//
+// ✅ SMS entrantes (POST /twilio/inbound):
+//   - ALTA <localidad> <mag> / BAJA / STOP / ULTIMO / AYUDA sobre alert_targets_v1, respuesta TwiML
+//
+// ✅ Chequeo "estoy bien":
+//   - Con intensidad predicha >= CHECKIN_MIN_INTENSITY el SMS pide "Responde OK o AYUDA"
+//   - La respuesta se guarda por evento y se avisa a emergency_contacts del target;
+//     sin respuesta en CHECKIN_TIMEOUT_MIN, el cron avisa que no respondió
+//
+// ✅ Escalamiento a llamada:
+//   - Intensidad predicha >= ESCALATION_MIN_INTENSITY: SMS inmediato; sin acuse (respuesta o llamada
+//     contestada) en ESCALATION_WINDOW_MIN, o SMS fallido -> twilioCall, hasta ESCALATION_MAX_CALLS
+//   - Pasos por destinatario en dlv_v1 (escalation); ALERTA_CANAL sigue siendo el canal base
+//
+// ✅ Canales por suscriptor:
+//   - channels: [{ type, to }] ordenados en el target (sms, call, whatsapp, telegram, email, webhook)
+//   - Se envía por el preferido y, si el proveedor falla, por el siguiente (registro CHANNELS)
+//   - SMS por proveedores en orden SMS_PROVIDERS (twilio, vonage, messagebird) con failover;
+//     el proveedor usado queda en dlv_v1
+//   - WhatsApp vía Twilio Messages (TWILIO_WHATSAPP_FROM, plantilla TWILIO_WHATSAPP_CONTENT_SID):
+//     texto completo con tildes, todas las localidades y link a /public
+//   - Email: HTML (tabla de localidades + mapa) y texto plano; EMAIL_TRANSPORT=http|stub
+//
+// ✅ Telegram:
+//   - Bot (TELEGRAM_BOT_TOKEN): DM a suscriptores y publicación de cada evento en TELEGRAM_CHANNEL_ID
+//   - POST /telegram/webhook (X-Telegram-Bot-Api-Secret-Token): /start <localidad> <mag>, /stop, /ultimo
+//
+// ✅ Web Push (/public):
+//   - /sw.js + botón /push.js; POST /push/subscribe (localidad / min_mag opcionales) en KV
+//   - Push sin payload firmado con VAPID (ES256); el service worker lee /push/latest
+//
+// ✅ Slack / Discord (equipo):
+//   - Resumen por evento (magnitud, referencia, hora, top localidades, enviados / fallidos)
+//   - Problemas del pipeline a OPS_WEBHOOK_URL con throttle por tipo (OPS_NOTIFY_THROTTLE_MIN)
+//
+// ✅ Webhooks salientes (socios / oficinas de emergencia):
+//   - POST JSON con evento normalizado + localidades de Railway, firmado HMAC-SHA256 (X-Yati-Signature),
+//     X-Yati-Delivery por entrega y reintentos con backoff; admin en /admin/webhooks
 
 export default {
   async scheduled(event, env, ctx) {
-    ctx.waitUntil(checkForNewEvent(env));
+    ctx.waitUntil(runScheduledTick(env));
+  },
+
+  // ✅ Consumer de ALERT_QUEUE (y de su dead-letter queue)
+  async queue(batch, env, ctx) {
+    await handleAlertQueue(batch, env);
   },
 
   async fetch(request, env, ctx) {
@@ -70,6 +166,41 @@ export default {
       });
     }
 
+    // ✅ PUSH INGEST (firmado HMAC): eventos empujados por Railway u otro upstream
+    if (url.pathname === "/ingest") {
+      return handleIngest(request, env, ctx);
+    }
+
+    // ✅ Estado de entrega SMS/llamada (StatusCallback de Twilio, firmado)
+    if (url.pathname === "/twilio/status") {
+      return handleTwilioStatus(request, env);
+    }
+
+    // ✅ SMS entrantes: ALTA / BAJA / STOP / ULTIMO / AYUDA
+    if (url.pathname === "/twilio/inbound") {
+      return handleTwilioInbound(request, env);
+    }
+
+    // ✅ Bot de Telegram: /start, /stop, /ultimo, /ayuda
+    if (url.pathname === "/telegram/webhook") {
+      return handleTelegramWebhook(request, env);
+    }
+
+    // ✅ Web Push: service worker, script del botón y suscripciones
+    if (url.pathname === "/sw.js" || url.pathname === "/push.js" || url.pathname.startsWith("/push/")) {
+      return handlePush(request, env, url);
+    }
+
+    // 🔒 Webhooks de socios: listar / registrar / probar / deshabilitar (Bearer ADMIN_TOKEN)
+    if (url.pathname === "/admin/webhooks" || url.pathname.startsWith("/admin/webhooks/")) {
+      return handleAdminWebhooks(request, env, url);
+    }
+
+    // 🔒 Tasas de entrega por evento (Bearer ADMIN_TOKEN)
+    if (url.pathname === "/admin/delivery") {
+      return handleAdminDelivery(request, env, url);
+    }
+
     return new Response("Not found", { status: 404 });
   }
 };
@@ -155,6 +286,171 @@ async function getEnvValue(env, name) {
   return "";
 }
 
+/* ===============================
+   ✅ FETCH RESILIENTE (XOR / fuentes / Railway)
+   - Timeout por llamada: FETCH_TIMEOUT_MS (default 8000); build-public: RAILWAY_BUILD_TIMEOUT_MS (25000)
+   - Reintentos con backoff exponencial + jitter: FETCH_RETRIES (default 2), FETCH_BACKOFF_MS (500)
+     sin pasarse del presupuesto del tick (opts.deadline, ver CRON_BUDGET_MS)
+   - Circuit breaker por upstream en KV (cb_v1:<upstream>):
+       CB_FAILURE_THRESHOLD fallos seguidos -> abierto CB_OPEN_SECONDS (se salta sin llamar)
+       pasado ese tiempo se permite una llamada de prueba (half-open)
+   - Solo escribe KV cuando cambia el estado (fallo / recuperación), no en cada llamada OK
+================================= */
+
+function fetchPolicy(env, upstream, opts = {}) {
+  const timeoutMs =
+    opts.timeoutMs ??
+    parseInt((upstream === "railway-build" && env.RAILWAY_BUILD_TIMEOUT_MS) || env.FETCH_TIMEOUT_MS || "8000", 10);
+  const retries = opts.retries ?? parseInt(env.FETCH_RETRIES || "2", 10);
+  const backoffMs = parseInt(env.FETCH_BACKOFF_MS || "500", 10);
+  const deadline = opts.deadline ?? Date.now() + timeoutMs * (retries + 1) + backoffMs * 2 ** (retries + 1);
+  return { timeoutMs, retries, backoffMs, deadline };
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function resilientFetch(env, upstream, url, init = {}, opts = {}) {
+  const policy = fetchPolicy(env, upstream, opts);
+  const breaker = await loadBreaker(env, upstream);
+
+  if (breaker.state === "open" && Date.now() < Date.parse(breaker.opened_until || "")) {
+    const err = new Error(`Circuito abierto (${upstream}) hasta ${breaker.opened_until}`);
+    err.code = "CIRCUIT_OPEN";
+    throw err;
+  }
+
+  let lastErr = null;
+  let lastResp = null;
+
+  for (let attempt = 0; attempt <= policy.retries; attempt++) {
+    if (attempt > 0) {
+      // Backoff exponencial con jitter completo
+      const delay = Math.round(Math.random() * policy.backoffMs * 2 ** attempt);
+      if (Date.now() + delay + policy.timeoutMs > policy.deadline) break;
+      await sleep(delay);
+    }
+
+    const timeoutMs = Math.min(policy.timeoutMs, policy.deadline - Date.now());
+    if (timeoutMs <= 0) break;
+
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const r = await fetch(url, { ...init, signal: ctrl.signal });
+      if (!isRetryableStatus(r.status)) {
+        await recordBreakerSuccess(env, upstream, breaker);
+        return r;
+      }
+      try { lastResp?.body?.cancel(); } catch {}
+      lastResp = r;
+      lastErr = new Error(`HTTP ${r.status}`);
+    } catch (e) {
+      lastErr = e?.name === "AbortError" ? new Error(`Timeout ${timeoutMs}ms`) : e;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    log(env, "[YATI] Upstream fallo", { upstream, attempt: attempt + 1, err: String(lastErr) });
+  }
+
+  await recordBreakerFailure(env, upstream, breaker, lastErr);
+  if (lastResp) return lastResp;
+  throw lastErr || new Error(`Sin presupuesto para llamar ${upstream}`);
+}
+
+async function loadBreaker(env, upstream) {
+  const empty = { state: "closed", failures: 0, total_failures: 0 };
+  if (!env.YATI_KV) return empty;
+  try {
+    const raw = await env.YATI_KV.get(`cb_v1:${upstream}`);
+    return raw ? { ...empty, ...JSON.parse(raw) } : empty;
+  } catch {
+    return empty;
+  }
+}
+
+async function recordBreakerSuccess(env, upstream, breaker) {
+  if (!env.YATI_KV || (breaker.state === "closed" && !breaker.failures)) return;
+
+  if (breaker.state !== "closed") {
+    log(env, "[YATI] Circuito cerrado (upstream recuperado)", { upstream, failures: breaker.failures });
+  }
+  await env.YATI_KV.put(`cb_v1:${upstream}`, JSON.stringify({
+    ...breaker,
+    state: "closed",
+    failures: 0,
+    opened_until: "",
+    last_success_at: new Date().toISOString()
+  }));
+}
+
+async function recordBreakerFailure(env, upstream, breaker, err) {
+  if (!env.YATI_KV) return;
+
+  const threshold = parseInt(env.CB_FAILURE_THRESHOLD || "3", 10);
+  const openSec = parseInt(env.CB_OPEN_SECONDS || "120", 10);
+  const failures = Number(breaker.failures || 0) + 1;
+
+  const next = {
+    ...breaker,
+    failures,
+    total_failures: Number(breaker.total_failures || 0) + 1,
+    last_error: String(err || "").slice(0, 200),
+    last_failure_at: new Date().toISOString()
+  };
+
+  if (failures >= threshold) {
+    next.state = "open";
+    next.opened_until = new Date(Date.now() + openSec * 1000).toISOString();
+    log(env, "[YATI] Circuito abierto", { upstream, failures, openedUntil: next.opened_until });
+  }
+
+  await env.YATI_KV.put(`cb_v1:${upstream}`, JSON.stringify(next));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/* ===============================
+   CRYPTO HELPERS (WebCrypto)
+================================= */
+
+async function hmacRaw(hash, secret, data) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    enc.encode(String(secret)),
+    { name: "HMAC", hash },
+    false,
+    ["sign"]
+  );
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(String(data))));
+}
+
+async function hmacHex(hash, secret, data) {
+  const bytes = await hmacRaw(hash, secret, data);
+  return [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hmacBase64(hash, secret, data) {
+  const bytes = await hmacRaw(hash, secret, data);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// Comparación en tiempo constante (para firmas)
+function timingSafeEqual(a, b) {
+  const sa = String(a);
+  const sb = String(b);
+  let diff = sa.length ^ sb.length;
+  for (let i = 0; i < Math.max(sa.length, sb.length); i++) {
+    diff |= (sa.charCodeAt(i) || 0) ^ (sb.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
 /* ===============================
    PUBLIC HTML (KV) + SELF-HEALING
 ================================= */
@@ -196,6 +492,13 @@ async function servePublicHtml(env, ctx, { reason }) {
     });
   }
 
+  // ✅ Botón de Web Push (solo si hay claves VAPID)
+  if (await getEnvValue(env, "VAPID_PUBLIC_KEY")) {
+    html = html.includes("</body>")
+      ? html.replace("</body>", '<script src="/push.js" defer></script></body>')
+      : html + '<script src="/push.js" defer></script>';
+  }
+
   return new Response(html, {
     headers: {
       "Content-Type": "text/html; charset=utf-8",
@@ -249,15 +552,21 @@ async function refreshPublicHtml(env, meta) {
   if (!token) return log(env, "[YATI] refreshPublicHtml: falta token (RAILWAY_BUILD_PUBLIC_TOKEN o BUILD_PUBLIC_TOKEN)");
 
   const buildUrl = `${RAILWAY_BASE_URL.replace(/\/$/, "")}/build-public`;
-  log(env, "[YATI] Refresh public: llamando /build-public", { ...meta, buildUrl });
+  log(env, "[YATI] Refresh public: llamando /build-public", { reason: meta?.reason, eventId: meta?.eventId, buildUrl });
 
   // 1) Disparar build en Railway (protegido)
-  const r = await fetch(buildUrl, {
-    headers: {
-      "Authorization": `Bearer ${token}`,
-      "User-Agent": "YATI-Worker/1.0"
-    }
-  });
+  let r;
+  try {
+    r = await resilientFetch(env, "railway-build", buildUrl, {
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "User-Agent": "YATI-Worker/1.0"
+      }
+    }, { deadline: meta?.deadline });
+  } catch (e) {
+    log(env, "[YATI] Error /build-public", { err: String(e) });
+    return;
+  }
 
   const txt = await safeText(r);
   if (!r.ok) {
@@ -267,7 +576,13 @@ async function refreshPublicHtml(env, meta) {
 
   // 2) Leer HTML desde Railway /public (snapshot liviano)
   const publicRailwayUrl = `${RAILWAY_BASE_URL.replace(/\/$/, "")}/public`;
-  const h = await fetch(publicRailwayUrl, { headers: { "User-Agent": "YATI-Worker/1.0" } });
+  let h;
+  try {
+    h = await resilientFetch(env, "railway", publicRailwayUrl, { headers: { "User-Agent": "YATI-Worker/1.0" } });
+  } catch (e) {
+    log(env, "[YATI] Error leyendo Railway /public", { err: String(e) });
+    return;
+  }
   let html = await safeText(h);
 
   if (!h.ok || !html || html.length < 200) {
@@ -327,17 +642,9 @@ function absolutizeAssets(html, baseUrl) {
 ================================= */
 
 async function checkForNewEvent(env) {
-  const XOR_URL = env.XOR_API_URL || "https://api.xor.cl/sismo/recent";
-  const RAILWAY_BASE_URL = env.RAILWAY_BASE_URL;
+  const cfg = readAlertConfig(env);
 
-  const MIN_EVENT_MAGNITUDE = parseFloat(env.MIN_EVENT_MAGNITUDE || "4");
-  const MIN_INTENSITY_TO_SHOW = parseInt(env.MIN_INTENSITY_TO_SHOW || "3", 10);
-
-  // ✅ default 7
-  const ALERTA_TOP = parseInt(env.ALERTA_TOP || "7", 10);
-  const CANAL = (env.ALERTA_CANAL || "sms").toLowerCase(); // "sms" o "call"
-
-  if (!RAILWAY_BASE_URL) {
+  if (!env.RAILWAY_BASE_URL) {
     console.log("[YATI] Falta env.RAILWAY_BASE_URL");
     return;
   }
@@ -347,66 +654,216 @@ async function checkForNewEvent(env) {
   }
 
   log(env, "[YATI] Cron tick", {
-    minMagGlobal: MIN_EVENT_MAGNITUDE,
-    minIntToShow: MIN_INTENSITY_TO_SHOW,
-    top: ALERTA_TOP,
-    canal: CANAL
+    minMagGlobal: cfg.MIN_EVENT_MAGNITUDE,
+    minIntToShow: cfg.MIN_INTENSITY_TO_SHOW,
+    top: cfg.ALERTA_TOP,
+    canal: cfg.CANAL,
+    sources: getEventSources(env).map(s => s.name)
   });
 
-  // --- 1) Revisar XOR ---
-  let data;
-  try {
-    const resp = await fetch(XOR_URL, { cf: { cacheTtl: 0, cacheEverything: false } });
-    if (!resp.ok) {
-      log(env, "[YATI] XOR no OK", { status: resp.status });
-      return;
-    }
-    data = await resp.json();
-  } catch (e) {
-    log(env, "[YATI] Error fetch XOR", { err: String(e) });
+  // --- 1) Revisar fuentes (XOR y/o FDSN GeoJSON / QuakeML) ---
+  const events = await fetchAllSources(env, cfg);
+  if (!events.length) {
+    log(env, "[YATI] Fuentes sin events");
+    await notifyOps(env, "sources", "fuentes sin eventos", { sources: getEventSources(env).map(s => s.name).join(", ") });
     return;
   }
 
-  const events = Array.isArray(data) ? data : (data?.events || data?.data || data?.results || []);
-  if (!Array.isArray(events) || events.length === 0) {
-    log(env, "[YATI] XOR sin events");
-    return;
+  // ✅ 2) Correlación: el mismo sismo reportado por varias fuentes -> un evento fusionado
+  const merged = await correlateEvents(env, events);
+
+  // ✅ 3) Todos los eventos posteriores a last_seen (orden cronológico) + reintentos pendientes
+  const queue = await selectEventsToProcess(env, events, merged);
+  if (!queue.length) {
+    log(env, "[YATI] Ultimo evento visto sin cambios", { latestId: merged[merged.length - 1]?.id });
   }
 
-  const latest = events[0];
-  const latestId = String(latest?.id ?? "");
-  if (!latestId) {
-    log(env, "[YATI] event sin id (XOR)");
-    return;
+  const refreshMeta = await runEventQueue(env, queue, cfg);
+
+  // ✅ 4) Revisiones de eventos ya alertados (CORRECCION / ANULADA)
+  await checkRevisions(env, events, merged, cfg);
+
+  // ✅ 4b) Chequeos "estoy bien" vencidos sin respuesta -> aviso a contactos de emergencia
+  await checkCheckinTimeouts(env);
+
+  // ✅ 4c) Sin acuse tras intensidad alta -> llamada (hasta ESCALATION_MAX_CALLS)
+  await checkEscalations(env);
+
+  // ✅ 4d) Webhooks salientes con reintento vencido
+  await retryWebhookDeliveries(env);
+
+  // ✅ Un solo refresh del HTML por tick (aunque se hayan drenado varios eventos)
+  if (refreshMeta) {
+    await refreshPublicHtml(env, { ...refreshMeta, deadline: cfg.deadline });
+  } else {
+    await selfHealPublicHtml(env, { reason: "self-heal-cron", deadline: cfg.deadline });
   }
 
-  // Magnitud robusta
-  const magRaw = latest?.magnitude;
-  const magVal =
-    typeof magRaw === "object" && magRaw !== null
-      ? magRaw.value
-      : (latest?.magnitud ?? latest?.mag ?? latest?.magnitude);
+  // Resumen para el poller (modo rápido tras un evento grande)
+  const newMags = queue.flatMap(mev => mev.fresh.map(ev => ev.mag)).filter(Number.isFinite);
+  return { processed: queue.length, maxMag: newMags.length ? Math.max(...newMags) : NaN };
+}
 
-  const M = parseFloat(String(magVal).replace(",", "."));
-  if (!Number.isFinite(M)) {
-    log(env, "[YATI] No pude parsear magnitud", { latestId, magVal });
-    return;
+// Procesa eventos fusionados en orden; devuelve el meta del refresh de HTML pendiente (o null)
+async function runEventQueue(env, queue, cfg) {
+  let refreshMeta = null;
+  for (const mev of queue) {
+    const res = await processEvent(env, mev, cfg);
+
+    for (const ev of mev.fresh) {
+      await markSeen(env, ev);
+      log(env, "[YATI] Nuevo evento visto (last_seen actualizado)", { latestId: ev.id, mergedId: mev.id, M: ev.mag });
+    }
+    if (res?.refresh) refreshMeta = res.refresh;
   }
+  return refreshMeta;
+}
 
-  // ✅ 2) last_seen (siempre que cambie el latestId)
-  const prevSeen = await env.YATI_KV.get("last_seen_event_id");
-  if (prevSeen !== latestId) {
-    await markSeen(env, latestId, M);
-    log(env, "[YATI] Nuevo evento visto (last_seen actualizado)", { latestId, M, prevSeen });
-  } else {
-    log(env, "[YATI] Ultimo evento visto sin cambios", { latestId, M });
+function readAlertConfig(env) {
+  return {
+    MIN_EVENT_MAGNITUDE: parseFloat(env.MIN_EVENT_MAGNITUDE || "4"),
+    MIN_INTENSITY_TO_SHOW: parseInt(env.MIN_INTENSITY_TO_SHOW || "3", 10),
+    // ✅ default 7
+    ALERTA_TOP: parseInt(env.ALERTA_TOP || "7", 10),
+    CANAL: (env.ALERTA_CANAL || "sms").toLowerCase(), // "sms" o "call"
+    // Eventos más antiguos que esto (p.ej. tras una caída larga) se registran pero no se alertan
+    EVENT_MAX_AGE_MINUTES: parseInt(env.EVENT_MAX_AGE_MINUTES || "120", 10),
+    // Presupuesto de llamadas externas del tick (el próximo cron llega en 60 s)
+    deadline: Date.now() + parseInt(env.CRON_BUDGET_MS || "45000", 10)
+  };
+}
+
+/**
+ * Decide qué eventos fusionados procesar en este tick:
+ *   - los que tienen algún origen posterior al cursor de su fuente (cursor_v1:<fuente>)
+ *   - los que quedaron pendientes de reintento (Railway caído, Twilio sin envíos); si ya salieron
+ *     del feed, solo los que tienen despacho a medias o llegaron por /ingest (se retoman desde el registro)
+ *
+ * Sin cursor (primer arranque) solo toma el más reciente de esa fuente, para no alertar historia.
+ * Si el cursor ya no está en el feed (caída larga), usa la hora del evento del cursor.
+ */
+async function selectEventsToProcess(env, events, merged) {
+  const bySource = new Map();
+  for (const ev of events) {
+    if (!bySource.has(ev.source)) bySource.set(ev.source, []);
+    bySource.get(ev.source).push(ev);
+  }
+
+  const freshIds = new Set();
+  for (const [source, list] of bySource) {
+    const cursor = await loadSourceCursor(env, source);
+    const cursorTime = Date.parse(cursor?.time || "");
+
+    let fresh;
+    if (!cursor?.id) {
+      fresh = list.slice(-1);
+    } else {
+      const idx = list.findIndex(ev => ev.sourceId === cursor.id);
+      if (idx >= 0) {
+        fresh = list.slice(idx + 1);
+      } else if (Number.isFinite(cursorTime)) {
+        fresh = list.filter(ev => !Number.isFinite(ev.time) || ev.time > cursorTime);
+      } else {
+        fresh = list;
+      }
+    }
+    for (const ev of fresh) freshIds.add(ev.id);
+  }
+
+  const pendingIds = await loadPendingEventIds(env);
+
+  // Pendientes que ya salieron del feed: sin despacho no se pueden reintentar (Railway necesita el
+  // evento); con despacho a medias se retoman desde el registro y el ledger
+  const feedIds = new Set(merged.map(mev => mev.id));
+  const stillPending = [];
+  const resume = [];
+  for (const id of pendingIds) {
+    if (feedIds.has(id)) {
+      stillPending.push(id);
+      continue;
+    }
+    const rec = await loadEventRecord(env, id);
+    if (rec?.dispatch) {
+      stillPending.push(id);
+      resume.push({ id, mag: rec.mag, origins: [], fresh: [] });
+    } else if (rec?.pushed_event) {
+      // Solo de /ingest (p.ej. Railway aún sin el evento): sigue hasta su propio plazo
+      // (enrich_deadline -> fallback, o EVENT_MAX_AGE_MINUTES -> stale)
+      stillPending.push(id);
+      resume.push({ ...rec.pushed_event, pushed: true, origins: [], fresh: [] });
+    }
+  }
+  if (stillPending.length !== pendingIds.length) {
+    await savePendingEventIds(env, stillPending);
+  }
+  const retryIds = new Set(stillPending);
+
+  if (freshIds.size > 1 || retryIds.size) {
+    log(env, "[YATI] Eventos a procesar", { fresh: [...freshIds], retry: [...retryIds] });
+  }
+
+  return merged
+    .map(mev => ({ ...mev, fresh: mev.origins.filter(ev => freshIds.has(ev.id)) }))
+    .filter(mev => mev.fresh.length || retryIds.has(mev.id))
+    .concat(resume);
+}
+
+/**
+ * Evalúa y alerta UN evento. Deja su resultado en event_v1:<id>.
+ * Devuelve { refresh } si corresponde refrescar el HTML público al final del tick.
+ */
+async function processEvent(env, ev, cfg) {
+  const { MIN_EVENT_MAGNITUDE } = cfg;
+  const latestId = ev.id;
+  const M = ev.mag;
+
+  // ✅ 3) Registro por evento: evita repetir alertas del MISMO evento
+  const rec = await loadEventRecord(env, latestId);
+  if (rec && EVENT_FINAL_STATUSES.includes(rec.status)) {
+    log(env, "[YATI] Evento ya procesado, no repito", { latestId, status: rec.status });
+    return {};
+  }
+
+  // Envío a medias (destinatarios fallidos): se retoma desde el ledger sin volver a consultar Railway
+  if (rec?.state === "dispatching" && rec.dispatch) {
+    return await withDispatchLock(env, latestId, (current, lock) => runDispatch(env, current || rec, cfg, lock));
   }
 
-  // ✅ 3) last_alerted: evita repetir alertas del MISMO evento
+  // (compat: antes de las fuentes múltiples last_alerted_event_id guardaba el id crudo de XOR)
   const storedAlerted = await env.YATI_KV.get("last_alerted_event_id");
-  if (storedAlerted === latestId) {
+  const legacyIds = (ev.origins || []).filter(o => o.source === "xor").map(o => o.sourceId);
+  if (storedAlerted === latestId || legacyIds.includes(storedAlerted)) {
     log(env, "[YATI] Ya alertado, no repito", { latestId, M });
-    return;
+    await saveEventRecord(env, latestId, { status: "alerted", mag: M });
+    return {};
+  }
+
+  if (!Number.isFinite(M)) {
+    log(env, "[YATI] No pude parsear magnitud", { latestId, magVal: ev.magVal });
+    await finishEvent(env, latestId, { status: "invalid" });
+    return {};
+  }
+
+  if (!rec) {
+    await saveEventRecord(env, latestId, {
+      state: "seen",
+      status: "seen",
+      mag: M,
+      event_time: Number.isFinite(ev.time) ? new Date(ev.time).toISOString() : "",
+      preferred_origin: `${ev.source}:${ev.sourceId}`,
+      origins: ev.originIds || [latestId],
+      // Llegó por /ingest: el cron no lo verá en su feed, se retoma con esta copia
+      ...(ev.pushed ? { pushed_event: { ...ev, origins: undefined, fresh: undefined, pushed: undefined } } : {}),
+      seen_at: new Date().toISOString()
+    });
+  }
+
+  // Eventos viejos (backlog tras una caída): se registran, no se alertan
+  const ageMin = Number.isFinite(ev.time) ? (Date.now() - ev.time) / 60000 : 0;
+  if (cfg.EVENT_MAX_AGE_MINUTES > 0 && ageMin > cfg.EVENT_MAX_AGE_MINUTES) {
+    log(env, "[YATI] Evento demasiado antiguo, no alerto", { latestId, M, ageMin: Math.round(ageMin) });
+    await finishEvent(env, latestId, { status: "stale" });
+    return {};
   }
 
   // Filtro global de magnitud
@@ -416,38 +873,88 @@ async function checkForNewEvent(env) {
       M,
       minMagGlobal: MIN_EVENT_MAGNITUDE
     });
-
-    // ✅ Self-healing: si KV no tiene HTML, lo generamos igual
-    const html = await env.YATI_KV.get("public_html_v1");
-    if ((!html || html.length < 200) && String(env.PUBLIC_REFRESH_FORCE_ON_EMPTY || "1") === "1") {
-      await refreshPublicHtml(env, { reason: "self-heal-under-threshold", eventId: latestId, mag: String(M) });
-    }
-
-    return;
+    await finishEvent(env, latestId, { status: "below-threshold" });
+    return {};
   }
 
   log(env, "[YATI] Evento candidato a alerta (pasa umbral global)", { latestId, M });
 
-  // --- 4) Consultar Railway /alerta/v1 ---
-  let payload;
-  let railwayUrl = "";
+  // --- 3b) Lease: un solo tick/instancia despacha este evento ---
+  return await withDispatchLock(env, latestId, (current, lock) => enrichAndDispatch(env, ev, cfg, lock));
+}
+
+// Lease dispatch:<id> + re-lectura del registro bajo lock (otro tick pudo terminarlo mientras tanto)
+async function withDispatchLock(env, eventId, fn) {
+  const lock = await acquireLock(env, `dispatch:${eventId}`);
+  if (!lock) {
+    // Queda pendiente: si el dueño del lock muere, el próximo tick lo retoma
+    await addPendingEventId(env, eventId);
+    return {};
+  }
+
   try {
-    const u = new URL(RAILWAY_BASE_URL.replace(/\/$/, "") + "/alerta/v1");
-    u.searchParams.set("min_mag", String(MIN_EVENT_MAGNITUDE));
-    u.searchParams.set("min_int", String(MIN_INTENSITY_TO_SHOW));
-    u.searchParams.set("top", String(ALERTA_TOP));
-    railwayUrl = u.toString();
+    const current = await loadEventRecord(env, eventId);
+    if (current && EVENT_FINAL_STATUSES.includes(current.status)) {
+      log(env, "[YATI] Evento ya procesado (bajo lock), no repito", { latestId: eventId, status: current.status });
+      return {};
+    }
+    return await fn(current, lock);
+  } finally {
+    await releaseLock(env, lock);
+  }
+}
 
-    const r = await fetch(railwayUrl, { headers: { "User-Agent": "YATI-Worker/1.0" } });
-    if (!r.ok) {
-      const t = await safeText(r);
-      log(env, "[YATI] Railway /alerta/v1 no OK", { status: r.status, body: t.slice(0, 200) });
-      return;
+/**
+ * Railway (o fallback) -> filtrado de targets -> envío -> marca de alertado.
+ * Siempre se llama con el lock dispatch:<id> tomado.
+ */
+async function enrichAndDispatch(env, ev, cfg, lock = null) {
+  const { ALERTA_TOP, CANAL } = cfg;
+  const latestId = ev.id;
+  const M = ev.mag;
+
+  // --- 4) Consultar Railway /alerta/v1 (si falla: estimación local) ---
+  const enriching = await saveEventRecord(env, latestId, { state: "enriching" });
+
+  let payload = await fetchRailwayAlert(env, ev, cfg);
+  let payloadSource = "railway";
+  if (!payload) {
+    await notifyOps(env, "railway", "Railway /alerta/v1 no OK", { eventId: latestId, mag: M });
+    payload = await buildFallbackPayload(env, ev, cfg);
+    payloadSource = "fallback";
+    if (!payload) {
+      await retryEventLater(env, latestId, "railway-failed");
+      return {};
+    }
+  }
+
+  // --- 4b) ¿Railway ya calculó ESTE evento? Si responde otro (o uno anterior), estacionar y reintentar ---
+  if (payloadSource === "railway" && !railwayPayloadMatches(payload?.evento, ev)) {
+    const readySec = parseInt(env.RAILWAY_READY_DEADLINE_SEC || "180", 10);
+    const since = Date.parse(enriching.enriching_since || "") || Date.now();
+    const deadline = new Date(since + readySec * 1000).toISOString();
+
+    if (Date.now() < since + readySec * 1000) {
+      log(env, "[YATI] Railway aun no tiene este evento, reintento en el proximo tick", {
+        latestId,
+        railwayEvento: payload?.evento?.id ?? payload?.evento?.FechaHora ?? null,
+        deadline
+      });
+      await retryEventLater(env, latestId, "railway-not-ready", {
+        enriching_since: new Date(since).toISOString(),
+        enrich_deadline: deadline
+      });
+      return {};
+    }
+
+    log(env, "[YATI] Railway no entrego el evento antes del plazo: uso estimacion local", { latestId, deadline });
+    await notifyOps(env, "railway", "Railway no entrego el evento antes del plazo", { eventId: latestId, deadline });
+    payload = await buildFallbackPayload(env, ev, cfg);
+    payloadSource = "fallback";
+    if (!payload) {
+      await finishEvent(env, latestId, { status: "enrich-timeout" });
+      return {};
     }
-    payload = await r.json();
-  } catch (e) {
-    log(env, "[YATI] Error Railway", { err: String(e), railwayUrl });
-    return;
   }
 
   const evento = payload?.evento || {};
@@ -463,15 +970,36 @@ async function checkForNewEvent(env) {
     latestId
   );
 
-  log(env, "[YATI] Railway OK", {
+  log(env, payloadSource === "railway" ? "[YATI] Railway OK" : "[YATI] Railway caido: uso estimacion local", {
     latestId,
     payloadId,
     mag,
     locCount: locs.length
   });
 
+  // Contenido para renderers de cuerpo largo (lista completa con tope; el SMS usa ALERTA_TOP)
+  const content = {
+    evento: {
+      magnitud: mag,
+      FechaHora: evento?.FechaHora ?? null,
+      Referencia: evento?.Referencia || ev.place || "",
+      lat: Number.isFinite(ev.lat) ? ev.lat : null,
+      lon: Number.isFinite(ev.lon) ? ev.lon : null
+    },
+    locs: locs.slice(0, 50)
+  };
+
+  // ✅ Difusión pública (canal Telegram, Web Push) y webhooks de socios: después del despacho
+  // a targets, para no retrasar los SMS
+  const broadcast = async () => {
+    await telegramBroadcast(env, latestId, content);
+    await dispatchWebhooks(env, latestId, ev, payload, mag);
+    await webPushBroadcast(env, latestId, content, locs);
+  };
+
+  // Sin tildes ni mayúsculas: los targets (ALTA, /start, admin) no siempre traen el nombre exacto de Railway
   const locNames = new Set(
-    locs.map(x => String(x?.localidad || "").toLowerCase()).filter(Boolean)
+    locs.map(x => normLocalidad(x?.localidad || "")).filter(Boolean)
   );
 
   // --- 5) Targets desde KV ---
@@ -480,10 +1008,11 @@ async function checkForNewEvent(env) {
 
   if (!targets.length) {
     log(env, "[YATI] No hay targets (alert_targets_v1 vacio). No envio.");
+    await finishEvent(env, latestId, { status: "no-targets", payload_id: payloadId, payload_source: payloadSource });
+    await broadcast();
 
     // ✅ Igual refrescamos HTML publico para que se vea el evento
-    await refreshPublicHtml(env, { reason: "no-targets-refresh", eventId: latestId, mag: String(mag) });
-    return;
+    return { refresh: { reason: "no-targets-refresh", eventId: latestId, mag: String(mag) } };
   }
 
   // --- 6) Filtrado targets ---
@@ -496,18 +1025,19 @@ async function checkForNewEvent(env) {
     const loc = String(t.localidad || "").trim();
     if (!loc) return true;
 
-    return locNames.has(loc.toLowerCase());
+    return locNames.has(normLocalidad(loc));
   });
 
   log(env, "[YATI] Targets seleccionados", { selected: selected.length, total: targets.length });
 
   if (!selected.length) {
     await markAlerted(env, latestId, mag, payloadId);
+    await finishEvent(env, latestId, { status: "no-selected", payload_id: payloadId, payload_source: payloadSource });
     log(env, "[YATI] Sin targets aplicables: marco last_alerted para no repetir", { latestId, mag, payloadId });
+    await broadcast();
 
     // ✅ Igual refrescamos HTML publico
-    await refreshPublicHtml(env, { reason: "no-selected-refresh", eventId: latestId, mag: String(mag) });
-    return;
+    return { refresh: { reason: "no-selected-refresh", eventId: latestId, mag: String(mag) } };
   }
 
   // --- 7) Mensaje (compacto + ASCII + corte seguro) ---
@@ -517,71 +1047,3431 @@ async function checkForNewEvent(env) {
     top: ALERTA_TOP
   });
 
-  // --- 8) Envio Twilio ---
-  let okCount = 0;
-  for (const t of selected) {
-    const to = String(t.phone || "").trim();
-    if (!to) continue;
+  // --- 8) Envío con ledger por destinatario (dlv_v1:<evento>:<destinatario>) ---
+  const deadlineMin = parseInt(env.DELIVERY_DEADLINE_MIN || "15", 10);
+  const intensityByLoc = new Map(
+    locs.map(x => [normLocalidad(x?.localidad || ""), parseIntensity(x?.intensidad_predicha)])
+  );
 
-    try {
-      if (CANAL === "call") {
-        await twilioCall(env, to, message);
-      } else {
-        await twilioSms(env, to, message);
-      }
-      okCount++;
-      log(env, "[YATI] SMS enviado OK", { to });
-    } catch (e) {
-      log(env, "[YATI] Error Twilio", { to, err: String(e) });
+  const recipients = [];
+  for (const t of selected) {
+    const channels = targetChannels(t, CANAL);
+    const key = targetKey(t, channels);
+    if (!key) continue;
+    const phone = String(t.phone || "").trim();
+    const to = phone || channels[0].to;
+
+    const localidad = String(t.localidad || "").trim();
+    const intensity = intensityByLoc.get(normLocalidad(localidad)) ?? null;
+
+    // Mismo teléfono en dos targets -> un solo envío (con la mayor intensidad)
+    const dup = recipients.find(r => r.key === key);
+    if (dup) {
+      if ((intensity ?? -1) > (dup.intensity ?? -1)) Object.assign(dup, { localidad, intensity });
+      continue;
     }
+    recipients.push({ key, to, phone, localidad, intensity, channels });
   }
 
-  // --- 9) Marcar alertado ---
-  if (okCount > 0) {
-    await markAlerted(env, latestId, mag, payloadId);
-    log(env, "[YATI] Alerta finalizada OK (last_alerted actualizado)", { okCount, latestId, mag, payloadId });
-
-    // ✅ Refresh público cuando se envió alerta
-    await refreshPublicHtml(env, { reason: "alert-sent", eventId: latestId, mag: String(mag) });
-  } else {
-    log(env, "[YATI] No se pudo enviar a nadie (okCount=0). No marco alertado.", { latestId, mag, payloadId });
+  // Más afectados primero; sin localidad (o sin dato de intensidad) al final
+  recipients.sort((a, b) => (b.intensity ?? -1) - (a.intensity ?? -1));
+
+  // ✅ Chequeo "estoy bien" y escalamiento a llamada para quienes tendrán sacudida fuerte
+  const ccfg = readCheckinConfig(env);
+  const ecfg = readEscalationConfig(env);
+  for (const r of recipients) {
+    // Chequeo y escalamiento necesitan SMS como canal preferido (respuesta) y teléfono (llamada)
+    if (r.channels[0]?.type !== "sms" || !r.phone) continue;
+    const I = r.intensity ?? -1;
+    if (ecfg.enabled && I >= ecfg.minIntensity) r.escalate = true;
+    // El escalamiento espera un acuse: siempre va con chequeo
+    if ((ccfg.enabled && I >= ccfg.minIntensity) || r.escalate) r.checkin = true;
   }
+  const checkin = recipients.some(r => r.checkin);
+  const checkinDeadline = checkin ? new Date(Date.now() + ccfg.timeoutMin * 60 * 1000).toISOString() : null;
+  if (checkin) await watchCheckins(env, latestId, checkinDeadline);
+  if (recipients.some(r => r.escalate)) await watchEscalations(env, latestId);
+
+  const rec = await saveEventRecord(env, latestId, {
+    state: "dispatching",
+    mag,
+    payload_id: payloadId,
+    payload_source: payloadSource,
+    // Para CORRECCION / ANULADA posteriores
+    fecha_hora: String(evento?.FechaHora || ""),
+    referencia: String(evento?.Referencia || ev.place || ""),
+    notified_mag: Number.isFinite(ev.mag) ? ev.mag : mag,
+    notified_lat: Number.isFinite(ev.lat) ? ev.lat : null,
+    notified_lon: Number.isFinite(ev.lon) ? ev.lon : null,
+    dispatch: {
+      message,
+      ...content,
+      checkin_message: checkin ? buildCheckinMessage(env, message) : null,
+      checkin_deadline: checkinDeadline,
+      canal: CANAL,
+      recipients,
+      deadline: new Date(Date.now() + deadlineMin * 60 * 1000).toISOString()
+    }
+  });
+
+  const result = await runDispatch(env, rec, cfg, lock);
+  await broadcast();
+  return result;
 }
 
-/* ===============================
-   TEST ALERT
-================================= */
+/**
+ * Envía (o retoma) el despacho de un evento según su ledger por destinatario.
+ *   - Con ALERT_QUEUE: encola un mensaje por destinatario sin entrada en el ledger; el consumer
+ *     (queue()) envía y este tick solo va cerrando el evento a medida que el ledger se completa
+ *   - Sin cola (o DISPATCH_MODE="inline"): envío en este tick con DISPATCH_CONCURRENCY envíos en
+ *     paralelo y a lo más DISPATCH_RATE_PER_SEC por segundo
+ *   - sent / sending / unknown: nunca se reenvía ("sending" huérfano de un tick muerto -> unknown)
+ *   - failed: se reintenta hasta DELIVERY_MAX_ATTEMPTS (inline) o max_retries de la cola
+ * Siempre se llama con el lock dispatch:<id> tomado; el envío inline lo renueva entre envíos.
+ */
+async function runDispatch(env, rec, cfg, lock = null) {
+  const eventId = rec.id;
+  const d = rec.dispatch || {};
+  const maxAttempts = parseInt(env.DELIVERY_MAX_ATTEMPTS || "3", 10);
+  const pastDeadline = Date.now() > Date.parse(d.deadline || "");
+  const queued = useAlertQueue(env);
+
+  const tally = { sent: 0, failed: 0, unknown: 0 };
+  const sentTo = [];
+  const toEnqueue = [];
+  const toSend = [];
+  let open = 0;
+
+  for (const r of d.recipients || []) {
+    const entry = await loadDelivery(env, eventId, r.key);
+
+    if (entry?.status === "sent") {
+      tally.sent++;
+      sentTo.push(r.to);
+      continue;
+    }
 
-async function testManualAlert(env, forceTo = "", customMsg = "") {
-  const defaultMsg = "YATI TEST | 14-Feb 21:09 | Test manual | OK";
-  const msgRaw =
-    (customMsg && customMsg.trim())
-      ? customMsg.trim()
-      : defaultMsg;
+    if (queued) {
+      // En modo cola el consumer es dueño de queued/sending/failed hasta el plazo
+      if (!entry) {
+        if (pastDeadline) tally.failed++;
+        else toEnqueue.push(r);
+      } else if (entry.status === "unknown") {
+        tally.unknown++;
+      } else if (entry.status === "dead" || pastDeadline) {
+        tally.failed++;
+      } else {
+        open++;
+      }
+      continue;
+    }
 
-  // ✅ ASCII + sin ¿¡!? + clamp
-  const msg = clampSmsAscii(env, toAscii(stripPunct(msgRaw)));
+    if (entry?.status === "sending" || entry?.status === "unknown") {
+      if (entry.status === "sending") {
+        await saveDelivery(env, eventId, r.key, { status: "unknown" });
+        log(env, "[YATI] Envio en estado desconocido (tick interrumpido), no reenvio", { eventId, to: r.to });
+      }
+      tally.unknown++;
+      continue;
+    }
 
-  const toFixed = (forceTo || "").trim();
+    const attempts = Number(entry?.attempts || 0);
+    if (attempts >= maxAttempts || pastDeadline) {
+      tally.failed++;
+      continue;
+    }
 
-  if (toFixed) {
-    await twilioSms(env, toFixed, msg);
-    console.log("[TEST] Enviado a (forceTo):", toFixed);
-    return;
+    toSend.push({ r, attempt: attempts + 1 });
   }
 
-  const targets = await loadTargets(env);
-  for (const t of targets) {
-    if (t.enabled) {
-      await twilioSms(env, t.phone, msg);
-      console.log("[TEST] Enviado a:", t.phone);
+  // Envío inline: pool acotado + límite por segundo; el orden (más afectados primero) se respeta al tomar
+  const limiter = createRateLimiter(parseFloat(env.DISPATCH_RATE_PER_SEC || "10"));
+  let leaseLost = false;
+  await runPool(toSend, parseInt(env.DISPATCH_CONCURRENCY || "5", 10), async ({ r, attempt }) => {
+    // Sin lease vigente otro tick puede estar despachando: lo que falta queda sin entrada para el próximo
+    if (leaseLost || !(await renewLock(env, lock))) {
+      leaseLost = true;
+      open++;
+      return;
+    }
+    const res = await deliverOne(env, eventId, r, d, attempt, limiter);
+    if (res.ok) {
+      tally.sent++;
+      sentTo.push(r.to);
+    } else {
+      tally.failed++;
+      if (attempt < maxAttempts) open++;
+    }
+  });
+
+  if (toEnqueue.length) {
+    try {
+      await enqueueDeliveries(env, eventId, d, toEnqueue);
+      open += toEnqueue.length;
+    } catch (e) {
+      // Sin entrada en el ledger: el próximo tick los vuelve a encolar
+      log(env, "[YATI] Error encolando destinatarios, reintento en el proximo tick", { eventId, count: toEnqueue.length, err: String(e) });
+      open += toEnqueue.length;
+    }
+  }
+
+  const patch = {
+    ok_count: tally.sent,
+    failed_count: tally.failed,
+    unknown_count: tally.unknown,
+    sent_to: sentTo
+  };
+
+  // --- 9) Marcar alertado (con el primer envío OK) ---
+  const firstSuccess = tally.sent > 0 && !rec.alerted_at;
+  if (firstSuccess) {
+    patch.alerted_at = new Date().toISOString();
+    await markAlerted(env, eventId, rec.mag, rec.payload_id);
+    await watchForRevisions(env, eventId);
+    log(env, "[YATI] Alerta enviada (last_alerted actualizado)", { ...tally, latestId: eventId, mag: rec.mag });
+  }
+
+  if (open > 0) {
+    if (!tally.sent && !queued) {
+      log(env, "[YATI] No se pudo enviar a nadie (okCount=0). No marco alertado.", { latestId: eventId, ...tally });
     }
+    log(env, queued ? "[YATI] Despacho en cola, sigo el ledger" : "[YATI] Destinatarios fallidos quedan para reintento", {
+      latestId: eventId,
+      open,
+      deadline: d.deadline
+    });
+    await retryEventLater(env, eventId, queued ? "delivery-queued" : "delivery-retry", { state: "dispatching", ...patch });
+  } else {
+    await finishEvent(env, eventId, { ...patch, status: tally.sent > 0 ? "alerted" : "undelivered" });
+    log(env, "[YATI] Despacho finalizado", { latestId: eventId, ...tally });
+    await postDispatchSummary(env, rec, tally);
   }
+
+  // ✅ Refresh público cuando se envió alerta
+  return firstSuccess ? { refresh: { reason: "alert-sent", eventId, mag: String(rec.mag) } } : {};
 }
 
-/* ===============================
-   HELPERS
-================================= */
+// Un envío con su rastro en el ledger: sending antes de llamar al proveedor, sent/failed después.
+// Canales del destinatario en orden: si uno falla se prueba el siguiente (channel_errors en el ledger).
+// 429/503 del proveedor: espera Retry-After (tope DISPATCH_MAX_RETRY_AFTER_MS) y reintenta hasta 2 veces
+async function deliverOne(env, eventId, r, d, attempt, limiter = null) {
+  await saveDelivery(env, eventId, r.key, {
+    status: "sending",
+    to: r.to,
+    localidad: r.localidad,
+    attempts: attempt
+  });
+
+  const channels = recipientChannels(r, d);
+  const errors = [];
+  let lastErr = null;
+
+  for (const ch of channels) {
+    const channel = CHANNELS[ch.type];
+    if (!channel) {
+      errors.push(`${ch.type}: canal no soportado`);
+      continue;
+    }
+
+    try {
+      const message = channel.render(env, d, r);
+      const statusCallback = twilioStatusCallbackUrl(env, eventId, r.key);
+      const txt = await sendWithRetryAfter(env, () => channel.send(env, ch, message, { statusCallback }), limiter, r);
+
+      let sent = null;
+      try {
+        sent = JSON.parse(txt);
+      } catch {}
+
+      await saveDelivery(env, eventId, r.key, {
+        status: "sent",
+        sent_at: new Date().toISOString(),
+        channel: ch.type,
+        channel_to: ch.to,
+        channel_errors: errors.length ? errors : null,
+        last_error: null,
+        sid: sent?.sid || null,
+        provider: sent?.provider || null
+      });
+      // Chequeo solo si la alerta salió por SMS (la respuesta llega por /twilio/inbound)
+      if (ch.type === "sms" && r.checkin && d.checkin_deadline) await openCheckin(env, eventId, r, d.checkin_deadline);
+      if (r.escalate) await appendEscalationStep(env, eventId, r.key, { step: ch.type, attempt, result: "sent" });
+      log(env, "[YATI] Envio OK", { to: r.to, channel: ch.type, provider: sent?.provider, attempt });
+      return { ok: true };
+    } catch (e) {
+      lastErr = e;
+      errors.push(`${ch.type}: ${String(e).slice(0, 200)}`);
+      log(env, "[YATI] Error de canal", { to: r.to, channel: ch.type, attempt, err: String(e) });
+    }
+  }
+
+  await saveDelivery(env, eventId, r.key, {
+    status: "failed",
+    channel_errors: errors,
+    last_error: errors.join(" | ").slice(0, 300) || "sin canales"
+  });
+  if (errors.length) await notifyOps(env, "delivery", "error de proveedor al enviar", { eventId, attempt, error: errors.join(" | ") });
+  if (r.escalate) await appendEscalationStep(env, eventId, r.key, { step: channels[0]?.type || "none", attempt, result: "failed" });
+  return { ok: false, err: lastErr };
+}
+
+async function sendWithRetryAfter(env, send, limiter, r) {
+  const maxWaitMs = parseInt(env.DISPATCH_MAX_RETRY_AFTER_MS || "10000", 10);
+
+  for (let tries = 0; ; tries++) {
+    if (limiter) await limiter.wait();
+
+    try {
+      return await send();
+    } catch (e) {
+      if (e.code !== "RATE_LIMITED" || tries >= 2) throw e;
+
+      const waitMs = Math.min(e.retryAfterMs ?? 1000 * 2 ** tries, maxWaitMs);
+      log(env, "[YATI] Proveedor limita envios, espero", { to: r.to, status: e.status, waitMs });
+      // Pausa a todo el pool, no solo a este envío
+      if (limiter) limiter.pause(waitMs);
+      else await sleep(waitMs);
+    }
+  }
+}
+
+// Pool de N workers que toman ítems en orden
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const n = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: n }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  }));
+}
+
+// Espaciado uniforme de envíos (perSec <= 0: sin límite); pause() corre el próximo turno de todos
+function createRateLimiter(perSec) {
+  const interval = perSec > 0 ? 1000 / perSec : 0;
+  let nextAt = 0;
+  return {
+    async wait() {
+      const now = Date.now();
+      const at = Math.max(now, nextAt);
+      nextAt = at + interval;
+      if (at > now) await sleep(at - now);
+    },
+    pause(ms) {
+      nextAt = Math.max(nextAt, Date.now() + ms);
+    }
+  };
+}
+
+/**
+ * ¿El evento que devolvió Railway es el que estamos procesando?
+ *   - Si trae id: debe coincidir con algún origen del evento fusionado
+ *   - Si no trae id: se compara FechaHora (hora de Chile) con la hora local del evento (±3 min)
+ *   - Si no hay con qué comparar, se acepta (comportamiento previo)
+ */
+function railwayPayloadMatches(evento, ev) {
+  const rid = evento?.id ?? evento?.event_id ?? evento?.evento_id ?? evento?.ID;
+  if (rid != null && String(rid).trim() !== "") {
+    const ids = new Set([ev.id, ev.sourceId, ...(ev.originIds || [])]);
+    for (const o of ev.origins || []) ids.add(o.sourceId);
+    return ids.has(String(rid).trim());
+  }
+
+  const theirs = String(evento?.FechaHora || "").match(/^(\d{2})-(\d{2})-(\d{4})\s+(\d{2}):(\d{2})/);
+  const ours = formatChileFechaHora(ev).match(/^(\d{2})-(\d{2})-(\d{4})\s+(\d{2}):(\d{2})/);
+  if (!theirs || !ours) return true;
+
+  const toMin = m => Date.UTC(+m[3], +m[2] - 1, +m[1], +m[4], +m[5]) / 60000;
+  return Math.abs(toMin(theirs) - toMin(ours)) <= 3;
+}
+
+// Railway /alerta/v1 -> payload { evento, localidades } (null si falla)
+async function fetchRailwayAlert(env, ev, cfg) {
+  let railwayUrl = "";
+  try {
+    const u = new URL(env.RAILWAY_BASE_URL.replace(/\/$/, "") + "/alerta/v1");
+    u.searchParams.set("min_mag", String(cfg.MIN_EVENT_MAGNITUDE));
+    u.searchParams.set("min_int", String(cfg.MIN_INTENSITY_TO_SHOW));
+    u.searchParams.set("top", String(cfg.ALERTA_TOP));
+    // Pista para Railway (si no lo soporta, lo ignora y responde el último evento); sin ev: el último
+    if (ev) {
+      u.searchParams.set("event_id", ev.sourceId);
+      u.searchParams.set("source", ev.source);
+    }
+    railwayUrl = u.toString();
+
+    const r = await resilientFetch(env, "railway", railwayUrl, {
+      headers: { "User-Agent": "YATI-Worker/1.0" }
+    }, { deadline: cfg.deadline });
+    if (!r.ok) {
+      const t = await safeText(r);
+      log(env, "[YATI] Railway /alerta/v1 no OK", { status: r.status, body: t.slice(0, 200) });
+      return null;
+    }
+    return await r.json();
+  } catch (e) {
+    log(env, "[YATI] Error Railway", { err: String(e), railwayUrl });
+    return null;
+  }
+}
+
+/* ===============================
+   FUENTES DE SISMOS (adaptadores)
+   - EVENT_SOURCES="xor,usgs,emsc,csn" (orden = prioridad)
+   - EVENT_SOURCES_MODE="all" (combina todas) | "failover" (la primera que responda con eventos)
+   - Tipos: xor (api.xor.cl), fdsn-geojson (USGS/EMSC), quakeml (CSN u otro FDSN)
+   - Todas se normalizan a:
+     { id, source, sourceId, time, lat, lon, depthKm, mag, magVal, magType, place, localDate, url, raw }
+================================= */
+
+const SOURCE_DEFAULTS = {
+  xor: { type: "xor", url: "https://api.xor.cl/sismo/recent" },
+  usgs: {
+    type: "fdsn-geojson",
+    url: "https://earthquake.usgs.gov/fdsnws/event/1/query?format=geojson&orderby=time&limit=30" +
+      "&minlatitude=-56&maxlatitude=-17&minlongitude=-80&maxlongitude=-66"
+  },
+  emsc: {
+    type: "fdsn-geojson",
+    url: "https://www.seismicportal.eu/fdsnws/event/1/query?format=json&orderby=time&limit=30" +
+      "&minlat=-56&maxlat=-17&minlon=-80&maxlon=-66"
+  },
+  csn: { type: "quakeml", url: "" }
+};
+
+function getEventSources(env) {
+  const names = String(env.EVENT_SOURCES || "xor")
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names
+    .map(name => {
+      const def = SOURCE_DEFAULTS[name] || {};
+      const upper = name.toUpperCase();
+      const url =
+        (name === "xor" ? env.XOR_API_URL : "") ||
+        env[`${upper}_SOURCE_URL`] ||
+        def.url ||
+        "";
+      const type = String(env[`${upper}_SOURCE_TYPE`] || def.type || "").toLowerCase();
+      return { name, type, url };
+    })
+    .filter(src => src.url && SOURCE_PARSERS[src.type]);
+}
+
+const SOURCE_PARSERS = {
+  "xor": parseXorFeed,
+  "fdsn-geojson": parseFdsnGeoJson,
+  "quakeml": parseQuakeMl
+};
+
+async function fetchAllSources(env, cfg) {
+  const sources = getEventSources(env);
+  const failover = String(env.EVENT_SOURCES_MODE || "all").toLowerCase() === "failover";
+
+  if (!sources.length) {
+    log(env, "[YATI] Sin fuentes configuradas (EVENT_SOURCES)");
+    return [];
+  }
+
+  const all = [];
+  for (const src of sources) {
+    const list = await fetchSourceEvents(env, src, cfg);
+    all.push(...list);
+    if (failover && list.length) break;
+  }
+
+  return sortChronological(all);
+}
+
+async function fetchSourceEvents(env, src, cfg) {
+  let text;
+  try {
+    const resp = await resilientFetch(env, `source-${src.name}`, src.url, {
+      headers: { "User-Agent": "YATI-Worker/1.0" },
+      cf: { cacheTtl: 0, cacheEverything: false }
+    }, { deadline: cfg?.deadline });
+    text = await safeText(resp);
+    if (!resp.ok) {
+      log(env, "[YATI] Fuente no OK", { source: src.name, status: resp.status });
+      return [];
+    }
+  } catch (e) {
+    log(env, "[YATI] Error fetch fuente", { source: src.name, err: String(e) });
+    return [];
+  }
+
+  let events;
+  try {
+    events = SOURCE_PARSERS[src.type](text, src);
+  } catch (e) {
+    log(env, "[YATI] No pude parsear fuente", { source: src.name, type: src.type, err: String(e) });
+    return [];
+  }
+
+  return events.filter(ev => {
+    if (!ev.sourceId) log(env, "[YATI] event sin id", { source: src.name });
+    return Boolean(ev.sourceId);
+  });
+}
+
+function makeEvent(src, fields) {
+  const sourceId = String(fields.sourceId ?? "").trim();
+  const mag = parseFloat(String(fields.magVal).replace(",", "."));
+  return {
+    id: `${src.name}:${sourceId}`,
+    source: src.name,
+    sourceId,
+    time: fields.time,
+    lat: safeNum(fields.lat),
+    lon: safeNum(fields.lon),
+    depthKm: safeNum(fields.depthKm),
+    mag,
+    magVal: fields.magVal,
+    magType: String(fields.magType || ""),
+    place: String(fields.place || ""),
+    localDate: String(fields.localDate || ""),
+    url: String(fields.url || ""),
+    raw: fields.raw
+  };
+}
+
+// XOR: { events: [{ id, utc_date, local_date, latitude, longitude, depth, magnitude: { value, measure_unit }, geo_reference }] }
+function parseXorFeed(text, src) {
+  const data = JSON.parse(text);
+  const rawEvents = Array.isArray(data) ? data : (data?.events || data?.data || data?.results || []);
+  if (!Array.isArray(rawEvents)) return [];
+  return rawEvents.map(raw => normalizeXorEvent(raw, src));
+}
+
+function normalizeXorEvent(raw, src = { name: "xor" }) {
+  // Magnitud robusta
+  const magRaw = raw?.magnitude;
+  const magVal =
+    typeof magRaw === "object" && magRaw !== null
+      ? magRaw.value
+      : (raw?.magnitud ?? raw?.mag ?? raw?.magnitude);
+
+  return makeEvent(src, {
+    sourceId: raw?.id ?? "",
+    time: parseEventTime(raw?.utc_date ?? raw?.utcDate ?? raw?.time),
+    lat: raw?.latitude ?? raw?.lat,
+    lon: raw?.longitude ?? raw?.lon,
+    depthKm: raw?.depth ?? raw?.profundidad,
+    magVal,
+    magType: typeof magRaw === "object" && magRaw !== null ? magRaw.measure_unit : "",
+    place: raw?.geo_reference ?? raw?.referencia ?? "",
+    localDate: raw?.local_date ?? "",
+    url: raw?.url ?? "",
+    raw
+  });
+}
+
+// FDSN-event GeoJSON: USGS (properties.time en ms) y EMSC (properties.time ISO, unid, flynn_region)
+function parseFdsnGeoJson(text, src) {
+  const data = JSON.parse(text);
+  const features = Array.isArray(data?.features) ? data.features : [];
+  return features.map(f => {
+    const p = f?.properties || {};
+    const c = Array.isArray(f?.geometry?.coordinates) ? f.geometry.coordinates : [];
+    return makeEvent(src, {
+      sourceId: f?.id ?? p.unid ?? p.eventid ?? "",
+      time: parseEventTime(p.time),
+      lat: c[1] ?? p.lat,
+      lon: c[0] ?? p.lon,
+      depthKm: c[2] ?? p.depth,
+      magVal: p.mag,
+      magType: p.magType ?? p.magtype ?? "",
+      place: p.place ?? p.flynn_region ?? "",
+      url: p.url ?? "",
+      raw: f
+    });
+  });
+}
+
+// QuakeML 1.2 (sin DOMParser en Workers: extracción por regex, suficiente para event/origin/magnitude)
+function parseQuakeMl(text, src) {
+  const out = [];
+  const eventRe = /<event\b([^>]*)>([\s\S]*?)<\/event>/g;
+  let m;
+  while ((m = eventRe.exec(text))) {
+    const publicId = attrValue(m[1], "publicID");
+    const body = m[2];
+
+    const origin = pickPreferred(body, "origin", xmlText(body, "preferredOriginID"));
+    const magnitude = pickPreferred(body, "magnitude", xmlText(body, "preferredMagnitudeID"));
+
+    out.push(makeEvent(src, {
+      sourceId: publicId.split(/[/=]/).pop(),
+      time: parseEventTime(xmlValue(origin, "time")),
+      lat: xmlValue(origin, "latitude"),
+      lon: xmlValue(origin, "longitude"),
+      // QuakeML entrega profundidad en metros
+      depthKm: safeNum(xmlValue(origin, "depth")) / 1000,
+      magVal: xmlValue(magnitude, "mag"),
+      magType: xmlText(magnitude, "type"),
+      place: xmlValue(body, "description", "text"),
+      raw: publicId
+    }));
+  }
+  return out;
+}
+
+function pickPreferred(body, tag, preferredId) {
+  const re = new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)<\\/${tag}>`, "g");
+  let first = "";
+  let m;
+  while ((m = re.exec(body))) {
+    if (!first) first = m[2];
+    if (preferredId && attrValue(m[1], "publicID") === preferredId) return m[2];
+  }
+  return first;
+}
+
+function attrValue(attrs, name) {
+  const m = String(attrs || "").match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? m[1] : "";
+}
+
+function xmlText(xml, tag) {
+  const m = String(xml || "").match(new RegExp(`<${tag}\\b[^>]*>([^<]*)<\\/${tag}>`));
+  return m ? m[1].trim() : "";
+}
+
+// <tag><value>X</value></tag> (o <tag><text>X</text></tag>)
+function xmlValue(xml, tag, inner = "value") {
+  const m = String(xml || "").match(new RegExp(`<${tag}\\b[^>]*>\\s*<${inner}>([^<]*)<\\/${inner}>`));
+  return m ? m[1].trim() : "";
+}
+
+// "2026-02-14 21:09:33" (UTC en XOR), ISO o epoch ms -> epoch ms (NaN si no se puede)
+function parseEventTime(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  const s = String(v || "").trim();
+  if (!s) return NaN;
+  const iso = s.includes("T") ? s : s.replace(" ", "T");
+  const hasTz = /(Z|[+-]\d{2}:?\d{2})$/.test(iso);
+  return Date.parse(hasTz ? iso : `${iso}Z`);
+}
+
+function sortChronological(events) {
+  return events
+    .map((ev, i) => ({ ev, i }))
+    .sort((a, b) => {
+      const ta = a.ev.time;
+      const tb = b.ev.time;
+      if (Number.isFinite(ta) && Number.isFinite(tb) && ta !== tb) return ta - tb;
+      return b.i - a.i; // los feeds entregan el más reciente primero
+    })
+    .map(x => x.ev);
+}
+
+async function selfHealPublicHtml(env, meta) {
+  // ✅ Self-healing: si KV no tiene HTML, lo generamos igual
+  const html = await env.YATI_KV.get("public_html_v1");
+  if ((!html || html.length < 200) && String(env.PUBLIC_REFRESH_FORCE_ON_EMPTY || "1") === "1") {
+    await refreshPublicHtml(env, meta);
+  }
+}
+
+/* ===============================
+   CORRELACIÓN ENTRE FUENTES (dedupe)
+   - El mismo sismo en varias fuentes -> un solo evento fusionado (id = primer origen visto)
+   - Ventanas: CORRELATE_WINDOW_SEC (60), CORRELATE_DISTANCE_KM (100), CORRELATE_MAG_DELTA (1.0)
+   - Origen preferido por prioridad de fuente (SOURCE_PRIORITY o el orden de EVENT_SOURCES)
+   - Índice en KV: recent_events_v1 (últimas CORRELATE_INDEX_HOURS horas)
+================================= */
+
+function readCorrelationConfig(env) {
+  return {
+    windowSec: parseFloat(env.CORRELATE_WINDOW_SEC || "60"),
+    distanceKm: parseFloat(env.CORRELATE_DISTANCE_KM || "100"),
+    magDelta: parseFloat(env.CORRELATE_MAG_DELTA || "1.0"),
+    indexHours: parseFloat(env.CORRELATE_INDEX_HOURS || "24")
+  };
+}
+
+function sourcePriority(env) {
+  const raw = env.SOURCE_PRIORITY || env.EVENT_SOURCES || "xor";
+  return String(raw).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function pickPreferredOrigin(env, origins) {
+  const prio = sourcePriority(env);
+  const rank = o => {
+    const i = prio.indexOf(o.source);
+    return i >= 0 ? i : prio.length;
+  };
+  return [...origins].sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Asigna cada evento del feed a un evento fusionado y devuelve la lista fusionada
+ * (orden cronológico). Cada elemento trae los campos del origen preferido más:
+ *   id (id fusionado), origins (eventos del feed que lo componen), originIds (todos los conocidos)
+ */
+async function correlateEvents(env, events) {
+  const cfg = readCorrelationConfig(env);
+  const index = await loadCorrelationIndex(env);
+  let changed = false;
+
+  const byOrigin = new Map();
+  for (const entry of index) {
+    for (const o of entry.origins) byOrigin.set(o.id, entry);
+  }
+
+  for (const ev of events) {
+    const snap = originSnapshot(ev);
+    let entry = byOrigin.get(ev.id);
+
+    if (entry) {
+      // Mantener la última versión del origen (revisiones de magnitud/ubicación)
+      const i = entry.origins.findIndex(o => o.id === ev.id);
+      if (JSON.stringify(entry.origins[i]) !== JSON.stringify(snap)) {
+        entry.origins[i] = snap;
+        changed = true;
+      }
+      continue;
+    }
+
+    entry = findCorrelatedEntry(env, index, snap, cfg);
+    if (entry) {
+      log(env, "[YATI] Evento correlacionado con otra fuente", { originId: ev.id, mergedId: entry.id });
+      entry.origins.push(snap);
+    } else {
+      entry = { id: ev.id, first_seen_at: new Date().toISOString(), origins: [snap] };
+      index.push(entry);
+    }
+    byOrigin.set(ev.id, entry);
+    changed = true;
+  }
+
+  // Podar el índice (por hora del evento; si no hay hora, por first_seen_at)
+  const minTime = Date.now() - cfg.indexHours * 3600 * 1000;
+  const kept = index.filter(entry => {
+    const t = Math.max(...entry.origins.map(o => o.time).filter(Number.isFinite), Date.parse(entry.first_seen_at) || 0);
+    return t >= minTime;
+  });
+  if (changed || kept.length !== index.length) {
+    await saveCorrelationIndex(env, kept);
+  }
+
+  // Agrupar el feed por evento fusionado
+  const groups = new Map();
+  for (const ev of events) {
+    const entry = byOrigin.get(ev.id);
+    if (!groups.has(entry.id)) groups.set(entry.id, { entry, origins: [] });
+    groups.get(entry.id).origins.push(ev);
+  }
+
+  const merged = [...groups.values()].map(({ entry, origins }) => ({
+    ...pickPreferredOrigin(env, origins),
+    id: entry.id,
+    origins,
+    originIds: entry.origins.map(o => o.id)
+  }));
+
+  return sortChronological(merged);
+}
+
+function originSnapshot(ev) {
+  return {
+    id: ev.id,
+    source: ev.source,
+    time: Number.isFinite(ev.time) ? ev.time : null,
+    lat: Number.isFinite(ev.lat) ? ev.lat : null,
+    lon: Number.isFinite(ev.lon) ? ev.lon : null,
+    mag: Number.isFinite(ev.mag) ? ev.mag : null
+  };
+}
+
+function findCorrelatedEntry(env, index, snap, cfg) {
+  if (!Number.isFinite(snap.time) || !Number.isFinite(snap.lat) || !Number.isFinite(snap.lon)) return null;
+
+  let best = null;
+  let bestScore = Infinity;
+
+  for (const entry of index) {
+    // Dos eventos distintos de la MISMA fuente nunca son el mismo sismo
+    if (entry.origins.some(o => o.source === snap.source)) continue;
+
+    const ref = pickPreferredOrigin(env, entry.origins);
+    if (!Number.isFinite(ref?.time) || !Number.isFinite(ref?.lat) || !Number.isFinite(ref?.lon)) continue;
+
+    const dt = Math.abs(snap.time - ref.time) / 1000;
+    if (dt > cfg.windowSec) continue;
+
+    const dist = haversineKm(snap.lat, snap.lon, ref.lat, ref.lon);
+    if (dist > cfg.distanceKm) continue;
+
+    if (Number.isFinite(snap.mag) && Number.isFinite(ref.mag) && Math.abs(snap.mag - ref.mag) > cfg.magDelta) continue;
+
+    const score = dt / cfg.windowSec + dist / cfg.distanceKm;
+    if (score < bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+async function loadCorrelationIndex(env) {
+  try {
+    const raw = await env.YATI_KV.get("recent_events_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr.filter(x => x?.id && Array.isArray(x.origins)) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveCorrelationIndex(env, index) {
+  await env.YATI_KV.put("recent_events_v1", JSON.stringify(index));
+}
+
+/* ===============================
+   REVISIONES (CORRECCION / ANULADA)
+   - Eventos alertados quedan en alerted_events_v1 por REVISION_WATCH_HOURS
+   - Si la fuente revisa magnitud (>= REVISION_MAG_DELTA) o ubicación (>= REVISION_DIST_KM)
+     -> SMS "YATI CORRECCION" a quienes recibieron la alerta
+   - Si el evento desaparece del feed o baja de MIN_EVENT_MAGNITUDE -> SMS "YATI ANULADA"
+   - REVISION_ALERTS="0" desactiva
+================================= */
+
+function readRevisionConfig(env) {
+  return {
+    enabled: String(env.REVISION_ALERTS || "1") === "1",
+    magDelta: parseFloat(env.REVISION_MAG_DELTA || "0.5"),
+    distKm: parseFloat(env.REVISION_DIST_KM || "30"),
+    watchHours: parseFloat(env.REVISION_WATCH_HOURS || "6")
+  };
+}
+
+async function checkRevisions(env, events, merged, cfg) {
+  const rcfg = readRevisionConfig(env);
+  if (!rcfg.enabled) return;
+
+  const watched = await loadWatchedEventIds(env);
+  if (!watched.length) return;
+
+  // Hora más antigua que cubre el feed de cada fuente (para distinguir "borrado" de "ya no aparece")
+  const oldestBySource = new Map();
+  for (const ev of events) {
+    if (!Number.isFinite(ev.time)) continue;
+    const prev = oldestBySource.get(ev.source);
+    if (prev === undefined || ev.time < prev) oldestBySource.set(ev.source, ev.time);
+  }
+
+  const keep = [];
+  for (const id of watched) {
+    // Lock por evento: dos ticks solapados no pueden enviar la misma CORRECCION / ANULADA
+    const lock = await acquireLock(env, `revision:${id}`);
+    if (!lock) {
+      keep.push(id);
+      continue;
+    }
+    try {
+      if (await checkRevision(env, id, merged, oldestBySource, rcfg, cfg)) keep.push(id);
+    } finally {
+      await releaseLock(env, lock);
+    }
+  }
+
+  if (keep.length !== watched.length) {
+    await saveWatchedEventIds(env, keep);
+  }
+}
+
+// Un evento vigilado; el registro se lee con el lock tomado, así notified_mag / status reflejan una
+// revisión que otro tick acabe de enviar. -> true si sigue vigilado
+async function checkRevision(env, id, merged, oldestBySource, rcfg, cfg) {
+  const rec = await loadEventRecord(env, id);
+  // "retry" con alerted_at = envío parcial, con destinatarios fallidos aún en reintento
+  if (!rec || !rec.alerted_at || !["alerted", "retry"].includes(rec.status)) return false;
+
+  const alertedAt = Date.parse(rec.alerted_at || "");
+  if (Number.isFinite(alertedAt) && Date.now() - alertedAt > rcfg.watchHours * 3600 * 1000) return false;
+
+  const mev = merged.find(x => x.id === id);
+
+  if (!mev) {
+    const source = String(rec.preferred_origin || id).split(":")[0];
+    const oldest = oldestBySource.get(source);
+    const eventTime = Date.parse(rec.event_time || "");
+    const stillCovered = Number.isFinite(oldest) && Number.isFinite(eventTime) && eventTime >= oldest;
+
+    if (stillCovered) {
+      await sendRevision(env, rec, cfg, { kind: "deleted" });
+      return false;
+    }
+    return true;
+  }
+
+  if (Number.isFinite(mev.mag) && mev.mag < cfg.MIN_EVENT_MAGNITUDE) {
+    await sendRevision(env, rec, cfg, { kind: "downgraded", mev });
+    return false;
+  }
+
+  const prevMag = Number(rec.notified_mag ?? rec.mag);
+  const magChange = Number.isFinite(mev.mag) && Number.isFinite(prevMag) ? Math.abs(mev.mag - prevMag) : 0;
+
+  const prevLat = Number(rec.notified_lat);
+  const prevLon = Number(rec.notified_lon);
+  const moved =
+    Number.isFinite(mev.lat) && Number.isFinite(mev.lon) && Number.isFinite(prevLat) && Number.isFinite(prevLon)
+      ? haversineKm(prevLat, prevLon, mev.lat, mev.lon)
+      : 0;
+
+  if (magChange >= rcfg.magDelta || moved >= rcfg.distKm) {
+    await sendRevision(env, rec, cfg, { kind: "corrected", mev, prevMag, moved });
+  }
+  return true;
+}
+
+async function sendRevision(env, rec, cfg, { kind, mev, prevMag, moved }) {
+  const message = buildRevisionMessage(env, rec, { kind, mev, prevMag });
+
+  // Cada destinatario recibe la revisión por el canal por el que le llegó la alerta
+  const sends = [];
+  if (Array.isArray(rec.dispatch?.recipients)) {
+    for (const r of rec.dispatch.recipients) {
+      const entry = await loadDelivery(env, rec.id, r.key);
+      if (entry?.status !== "sent") continue;
+      const ch = { type: entry.channel || rec.dispatch.canal, to: entry.channel_to || r.to };
+      // Conserva campos del canal (secret del webhook) que el ledger no guarda
+      const orig = (r.channels || []).find(c => c.type === ch.type && c.to === ch.to);
+      sends.push(orig || ch);
+    }
+  } else {
+    for (const to of Array.isArray(rec.sent_to) ? rec.sent_to : []) sends.push({ type: cfg.CANAL, to });
+  }
+
+  log(env, "[YATI] Revision de evento alertado", {
+    eventId: rec.id,
+    kind,
+    mag: mev?.mag,
+    prevMag,
+    movedKm: moved ? Math.round(moved) : undefined,
+    recipients: sends.length
+  });
+
+  let okCount = 0;
+  for (const ch of sends) {
+    try {
+      if (!CHANNELS[ch.type]) throw new Error(`canal no soportado: ${ch.type}`);
+      await CHANNELS[ch.type].send(env, ch, message, {});
+      okCount++;
+    } catch (e) {
+      log(env, "[YATI] Error de canal (revision)", { to: ch.to, channel: ch.type, err: String(e) });
+    }
+  }
+
+  const revision = { kind, at: new Date().toISOString(), mag: mev?.mag ?? null, ok_count: okCount };
+  const patch = {
+    revisions: [...(Array.isArray(rec.revisions) ? rec.revisions : []), revision]
+  };
+
+  if (kind === "corrected") {
+    patch.notified_mag = mev.mag;
+    if (Number.isFinite(mev.lat) && Number.isFinite(mev.lon)) {
+      patch.notified_lat = mev.lat;
+      patch.notified_lon = mev.lon;
+    }
+  } else {
+    patch.status = "cancelled";
+  }
+
+  await saveEventRecord(env, rec.id, patch);
+}
+
+function buildRevisionMessage(env, rec, { kind, mev, prevMag }) {
+  const fmt = m => (Number.isFinite(Number(m)) ? Number(m).toFixed(1) : "NA");
+  const dt = formatFechaHora(rec.fecha_hora);
+  const ref = compactRef(mev?.place || rec.referencia);
+
+  let msg;
+  if (kind === "corrected") {
+    msg = `YATI CORRECCION M${fmt(mev.mag)} (antes M${fmt(prevMag)}) | ${dt} | ${ref}`;
+  } else if (kind === "downgraded") {
+    msg = `YATI ANULADA M${fmt(rec.notified_mag ?? rec.mag)} | ${dt} | Rebajado a M${fmt(mev.mag)}, bajo umbral`;
+  } else {
+    msg = `YATI ANULADA M${fmt(rec.notified_mag ?? rec.mag)} | ${dt} | Evento eliminado por la fuente`;
+  }
+
+  return clampSmsAscii(env, toAscii(stripPunct(msg)));
+}
+
+async function loadWatchedEventIds(env) {
+  try {
+    const raw = await env.YATI_KV.get("alerted_events_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveWatchedEventIds(env, ids) {
+  await env.YATI_KV.put("alerted_events_v1", JSON.stringify(ids));
+}
+
+async function watchForRevisions(env, eventId) {
+  const ids = await loadWatchedEventIds(env);
+  if (!ids.includes(eventId)) await saveWatchedEventIds(env, [...ids, eventId]);
+}
+
+/* ===============================
+   FALLBACK LOCAL (Railway caído)
+   - IPE de Allen, Wald & Worden (2012), distancia hipocentral:
+       MMI = c0 + c1*M + c2*ln(sqrt(R^2 + RM^2)) + S,   RM = m1 + m2*exp(M-5)
+       S = 0 (R <= 50 km), c4*ln(R/50) (R > 50 km)
+   - Catálogo de localidades embebido (o KV localidades_catalog_v1: [{ localidad, lat, lon }])
+   - Devuelve el mismo formato que Railway /alerta/v1: { evento, localidades: [{ localidad, intensidad_predicha }] }
+   - RAILWAY_FALLBACK="0" desactiva
+================================= */
+
+const LOCALIDADES_CL = [
+  { localidad: "Arica", lat: -18.4783, lon: -70.3126 },
+  { localidad: "Putre", lat: -18.1975, lon: -69.5597 },
+  { localidad: "Iquique", lat: -20.2307, lon: -70.1357 },
+  { localidad: "Alto Hospicio", lat: -20.2694, lon: -70.1017 },
+  { localidad: "Pozo Almonte", lat: -20.2564, lon: -69.7861 },
+  { localidad: "Tocopilla", lat: -22.0920, lon: -70.1979 },
+  { localidad: "Calama", lat: -22.4560, lon: -68.9293 },
+  { localidad: "San Pedro de Atacama", lat: -22.9087, lon: -68.1997 },
+  { localidad: "Mejillones", lat: -23.0996, lon: -70.4498 },
+  { localidad: "Antofagasta", lat: -23.6509, lon: -70.3975 },
+  { localidad: "Taltal", lat: -25.4053, lon: -70.4856 },
+  { localidad: "Chañaral", lat: -26.3479, lon: -70.6224 },
+  { localidad: "Caldera", lat: -27.0667, lon: -70.8167 },
+  { localidad: "Copiapó", lat: -27.3668, lon: -70.3314 },
+  { localidad: "Vallenar", lat: -28.5708, lon: -70.7581 },
+  { localidad: "La Serena", lat: -29.9027, lon: -71.2519 },
+  { localidad: "Coquimbo", lat: -29.9533, lon: -71.3436 },
+  { localidad: "Vicuña", lat: -30.0319, lon: -70.7081 },
+  { localidad: "Ovalle", lat: -30.6015, lon: -71.1996 },
+  { localidad: "Illapel", lat: -31.6308, lon: -71.1653 },
+  { localidad: "Los Vilos", lat: -31.9113, lon: -71.5107 },
+  { localidad: "La Ligua", lat: -32.4524, lon: -71.2310 },
+  { localidad: "Los Andes", lat: -32.8337, lon: -70.5983 },
+  { localidad: "San Felipe", lat: -32.7507, lon: -70.7251 },
+  { localidad: "Quillota", lat: -32.8799, lon: -71.2474 },
+  { localidad: "Viña del Mar", lat: -33.0246, lon: -71.5518 },
+  { localidad: "Valparaíso", lat: -33.0472, lon: -71.6127 },
+  { localidad: "San Antonio", lat: -33.5933, lon: -71.6217 },
+  { localidad: "Santiago", lat: -33.4489, lon: -70.6693 },
+  { localidad: "Puente Alto", lat: -33.6117, lon: -70.5758 },
+  { localidad: "Melipilla", lat: -33.6891, lon: -71.2153 },
+  { localidad: "Rancagua", lat: -34.1708, lon: -70.7444 },
+  { localidad: "Pichilemu", lat: -34.3870, lon: -72.0030 },
+  { localidad: "San Fernando", lat: -34.5853, lon: -70.9891 },
+  { localidad: "Curicó", lat: -34.9828, lon: -71.2394 },
+  { localidad: "Constitución", lat: -35.3333, lon: -72.4167 },
+  { localidad: "Talca", lat: -35.4264, lon: -71.6554 },
+  { localidad: "Linares", lat: -35.8467, lon: -71.5931 },
+  { localidad: "Cauquenes", lat: -35.9671, lon: -72.3225 },
+  { localidad: "Chillán", lat: -36.6066, lon: -72.1034 },
+  { localidad: "Talcahuano", lat: -36.7249, lon: -73.1168 },
+  { localidad: "Concepción", lat: -36.8270, lon: -73.0503 },
+  { localidad: "Coronel", lat: -37.0167, lon: -73.1333 },
+  { localidad: "Los Ángeles", lat: -37.4697, lon: -72.3537 },
+  { localidad: "Lebu", lat: -37.6083, lon: -73.6500 },
+  { localidad: "Angol", lat: -37.7959, lon: -72.7164 },
+  { localidad: "Temuco", lat: -38.7359, lon: -72.5904 },
+  { localidad: "Villarrica", lat: -39.2857, lon: -72.2279 },
+  { localidad: "Pucón", lat: -39.2823, lon: -71.9544 },
+  { localidad: "Valdivia", lat: -39.8142, lon: -73.2459 },
+  { localidad: "Osorno", lat: -40.5740, lon: -73.1336 },
+  { localidad: "Puerto Varas", lat: -41.3195, lon: -72.9854 },
+  { localidad: "Puerto Montt", lat: -41.4693, lon: -72.9424 },
+  { localidad: "Ancud", lat: -41.8697, lon: -73.8203 },
+  { localidad: "Castro", lat: -42.4800, lon: -73.7624 },
+  { localidad: "Chaitén", lat: -42.9167, lon: -72.7167 },
+  { localidad: "Coyhaique", lat: -45.5752, lon: -72.0662 },
+  { localidad: "Puerto Aysén", lat: -45.4031, lon: -72.6920 },
+  { localidad: "Puerto Natales", lat: -51.7236, lon: -72.5064 },
+  { localidad: "Punta Arenas", lat: -53.1638, lon: -70.9171 }
+];
+
+// Coeficientes AWW2012 (hipocentral)
+const IPE_AWW2012 = { c0: 2.085, c1: 1.428, c2: -1.402, c4: 0.078, m1: -0.209, m2: 2.042 };
+
+function predictMmi(M, rhypKm) {
+  const { c0, c1, c2, c4, m1, m2 } = IPE_AWW2012;
+  const R = Math.max(1, rhypKm);
+  const RM = m1 + m2 * Math.exp(M - 5);
+  const S = R > 50 ? c4 * Math.log(R / 50) : 0;
+  const mmi = c0 + c1 * M + c2 * Math.log(Math.sqrt(R * R + RM * RM)) + S;
+  return Math.max(1, Math.min(12, mmi));
+}
+
+async function loadLocalidadesCatalog(env) {
+  try {
+    const raw = await env.YATI_KV.get("localidades_catalog_v1");
+    const arr = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(arr) && arr.length) {
+      return arr
+        .map(x => ({ localidad: String(x?.localidad || ""), lat: safeNum(x?.lat), lon: safeNum(x?.lon) }))
+        .filter(x => x.localidad && Number.isFinite(x.lat) && Number.isFinite(x.lon));
+    }
+  } catch (e) {
+    log(env, "[YATI] Error leyendo localidades_catalog_v1", { err: String(e) });
+  }
+  return LOCALIDADES_CL;
+}
+
+async function buildFallbackPayload(env, ev, cfg) {
+  if (String(env.RAILWAY_FALLBACK || "1") !== "1") return null;
+
+  const M = ev.mag;
+  if (!Number.isFinite(M) || !Number.isFinite(ev.lat) || !Number.isFinite(ev.lon)) {
+    log(env, "[YATI] Fallback sin hipocentro/magnitud, no puedo estimar", { eventId: ev.id });
+    return null;
+  }
+  const depth = Number.isFinite(ev.depthKm) ? ev.depthKm : 30;
+
+  const catalog = await loadLocalidadesCatalog(env);
+  const localidades = catalog
+    .map(loc => {
+      const epi = haversineKm(ev.lat, ev.lon, loc.lat, loc.lon);
+      const rhyp = Math.sqrt(epi * epi + depth * depth);
+      return {
+        localidad: loc.localidad,
+        intensidad_predicha: Math.round(predictMmi(M, rhyp)),
+        distancia_km: Math.round(epi)
+      };
+    })
+    .filter(x => x.intensidad_predicha >= cfg.MIN_INTENSITY_TO_SHOW)
+    .sort((a, b) => b.intensidad_predicha - a.intensidad_predicha || a.distancia_km - b.distancia_km);
+
+  return {
+    evento: {
+      id: ev.sourceId,
+      magnitud: M,
+      FechaHora: formatChileFechaHora(ev),
+      Referencia: ev.place || "",
+      Latitud: ev.lat,
+      Longitud: ev.lon,
+      Profundidad: depth,
+      fuente: "fallback-worker"
+    },
+    localidades
+  };
+}
+
+// "dd-mm-yyyy HH:MM" en hora de Chile (formato que entrega Railway en evento.FechaHora)
+function formatChileFechaHora(ev) {
+  const m = String(ev.localDate || "").match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]} ${m[4]}:${m[5]}`;
+  if (!Number.isFinite(ev.time)) return "";
+
+  try {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-GB", {
+        timeZone: "America/Santiago",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: false
+      })
+        .formatToParts(new Date(ev.time))
+        .map(p => [p.type, p.value])
+    );
+    return `${parts.day}-${parts.month}-${parts.year} ${parts.hour}:${parts.minute}`;
+  } catch {
+    return "";
+  }
+}
+
+/* ===============================
+   ✅ POLLER SUB-MINUTO (Durable Object + alarms)
+   - Binding opcional YATI_POLLER (clase YatiPoller); una sola instancia: idFromName("yati-poller")
+   - El cron delega el tick al DO -> todo el polling/envío pasa por una única instancia serializada
+   - Tras un evento >= FAST_POLL_MIN_MAG: modo rápido por AFTERSHOCK_WINDOW_MIN,
+     con alarmas cada POLL_INTERVAL_SEC (el cron no hace nada mientras tanto)
+   - Fuera de esa ventana no se arman alarmas: vuelve a mandar el cron (1/min)
+================================= */
+
+export class YatiPoller {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.running = null;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/tick") {
+      const activeUntil = (await this.state.storage.get("activeUntil")) || 0;
+      if (activeUntil > Date.now()) {
+        return new Response("fast-mode (alarm)", { status: 200 });
+      }
+      const res = await this.runTick("cron");
+      return new Response(res, { status: 200 });
+    }
+
+    if (url.pathname === "/status") {
+      const activeUntil = (await this.state.storage.get("activeUntil")) || 0;
+      const alarm = await this.state.storage.getAlarm();
+      return new Response(JSON.stringify({
+        fastMode: activeUntil > Date.now(),
+        activeUntil: activeUntil ? new Date(activeUntil).toISOString() : null,
+        nextAlarm: alarm ? new Date(alarm).toISOString() : null,
+        running: Boolean(this.running)
+      }), { headers: { "Content-Type": "application/json" } });
+    }
+
+    return new Response("Not found", { status: 404 });
+  }
+
+  async alarm() {
+    await this.runTick("alarm");
+  }
+
+  // Un solo tick a la vez dentro de la instancia (alarm y cron pueden intercalarse en los await)
+  async runTick(trigger) {
+    if (this.running) {
+      log(this.env, "[YATI] Poller ocupado, salto tick", { trigger });
+      return "busy";
+    }
+
+    this.running = (async () => {
+      let summary = null;
+      try {
+        summary = await checkForNewEvent(this.env);
+      } catch (e) {
+        log(this.env, "[YATI] Error en tick del poller", { trigger, err: String(e) });
+      }
+      await this.schedule(summary);
+    })();
+
+    try {
+      await this.running;
+    } finally {
+      this.running = null;
+    }
+    return "ok";
+  }
+
+  async schedule(summary) {
+    const env = this.env;
+    const now = Date.now();
+    const fastMag = parseFloat(env.FAST_POLL_MIN_MAG || "6");
+    const windowMin = parseFloat(env.AFTERSHOCK_WINDOW_MIN || "60");
+    const intervalSec = Math.max(1, parseInt(env.POLL_INTERVAL_SEC || "10", 10));
+
+    let activeUntil = (await this.state.storage.get("activeUntil")) || 0;
+
+    if (Number.isFinite(summary?.maxMag) && summary.maxMag >= fastMag) {
+      activeUntil = now + windowMin * 60 * 1000;
+      await this.state.storage.put("activeUntil", activeUntil);
+      log(env, "[YATI] Poller: modo rapido (ventana de replicas)", {
+        maxMag: summary.maxMag,
+        intervalSec,
+        until: new Date(activeUntil).toISOString()
+      });
+    }
+
+    if (activeUntil > now) {
+      await this.state.storage.setAlarm(now + intervalSec * 1000);
+    } else if (activeUntil) {
+      await this.state.storage.delete("activeUntil");
+      log(env, "[YATI] Poller: fin modo rapido, vuelve el cron");
+    }
+  }
+}
+
+// Cron: si hay poller, el tick corre dentro del DO (serializado); si no, directo
+async function runScheduledTick(env) {
+  if (!env.YATI_POLLER || String(env.POLLER_ENABLED || "1") !== "1") {
+    await checkForNewEvent(env);
+    return;
+  }
+
+  try {
+    const stub = env.YATI_POLLER.get(env.YATI_POLLER.idFromName("yati-poller"));
+    const r = await stub.fetch("https://yati-poller/tick");
+    log(env, "[YATI] Tick delegado al poller", { status: r.status, res: await safeText(r) });
+  } catch (e) {
+    log(env, "[YATI] Poller no disponible, tick directo", { err: String(e) });
+    await checkForNewEvent(env);
+  }
+}
+
+/* ===============================
+   ✅ LOCK DE DESPACHO (lease con expiración)
+   - Evita que dos ticks solapados (o cron + /ingest) envíen el mismo evento
+   - Con binding YATI_LOCK (Durable Object YatiLock): lease fuerte, atómico
+   - Sin binding: lease best-effort en KV (lock_v1:<nombre>). SIN exclusión mutua: KV no tiene
+     compare-and-set y es eventualmente consistente; solo reduce solapes entre ticks espaciados
+   - DISPATCH_LOCK_TTL_SEC (300): si el dueño muere, el lease expira solo. Un despacho largo lo
+     renueva (renewLock) entre envíos; si lo perdió, deja de enviar y el resto queda para el próximo tick
+   - Contención: log + contador en lock_stats_v1
+================================= */
+
+export class YatiLock {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  // Sin await entre get y put -> atómico dentro del DO
+  async fetch(request) {
+    const url = new URL(request.url);
+    const { name, owner, ttlSec } = await request.json();
+    const now = Date.now();
+    const cur = await this.state.storage.get(name);
+
+    if (url.pathname === "/acquire") {
+      if (cur && cur.expiresAt > now && cur.owner !== owner) {
+        return Response.json({ ok: false, holder: cur });
+      }
+      const lease = { owner, acquiredAt: now, expiresAt: now + Number(ttlSec || 300) * 1000 };
+      await this.state.storage.put(name, lease);
+      return Response.json({ ok: true, lease });
+    }
+
+    if (url.pathname === "/extend") {
+      if (cur?.owner !== owner) return Response.json({ ok: false, holder: cur || null });
+      await this.state.storage.put(name, { ...cur, expiresAt: now + Number(ttlSec || 300) * 1000 });
+      return Response.json({ ok: true });
+    }
+
+    if (url.pathname === "/release") {
+      if (cur?.owner === owner) await this.state.storage.delete(name);
+      return Response.json({ ok: true });
+    }
+
+    return new Response("Not found", { status: 404 });
+  }
+}
+
+async function acquireLock(env, name) {
+  const owner = crypto.randomUUID();
+  const ttlSec = Math.max(60, parseInt(env.DISPATCH_LOCK_TTL_SEC || "300", 10));
+
+  let holder = null;
+  try {
+    if (env.YATI_LOCK) {
+      const stub = env.YATI_LOCK.get(env.YATI_LOCK.idFromName("yati-lock"));
+      const r = await stub.fetch("https://yati-lock/acquire", {
+        method: "POST",
+        body: JSON.stringify({ name, owner, ttlSec })
+      });
+      const res = await r.json();
+      if (res?.ok) return { name, owner, ttlSec, renewedAt: Date.now() };
+      holder = res?.holder || null;
+    } else {
+      // KV no tiene compare-and-set: esto NO da exclusión mutua. Solo evita entrar cuando el lease de
+      // otro ya es visible; dos isolates que leen casi a la vez entran ambos. Para despacho usar YATI_LOCK.
+      const key = `lock_v1:${name}`;
+      const cur = await env.YATI_KV.get(key, "json");
+      if (!cur || cur.expiresAt <= Date.now()) {
+        await env.YATI_KV.put(key, JSON.stringify({ owner, acquiredAt: Date.now(), expiresAt: Date.now() + ttlSec * 1000 }), {
+          expirationTtl: ttlSec
+        });
+        return { name, owner, ttlSec, renewedAt: Date.now() };
+      }
+      holder = cur;
+    }
+  } catch (e) {
+    // Sin lock disponible preferimos no enviar a arriesgar un doble envío; el próximo tick reintenta
+    log(env, "[YATI] Error adquiriendo lock", { name, err: String(e) });
+    return null;
+  }
+
+  await recordLockContention(env, name, holder);
+  return null;
+}
+
+// Renueva el lease si pasó un tercio del TTL desde la última vez. false = el lease ya no es nuestro
+// (expiró y otro lo tomó) o no se pudo renovar: quien llama deja de enviar
+async function renewLock(env, lock) {
+  if (!lock || Date.now() - lock.renewedAt < (lock.ttlSec * 1000) / 3) return true;
+  // Los envíos en paralelo comparten una sola renovación en curso
+  lock.renewing ||= extendLease(env, lock).finally(() => {
+    lock.renewing = null;
+  });
+  return await lock.renewing;
+}
+
+async function extendLease(env, lock) {
+  try {
+    let ok;
+    if (env.YATI_LOCK) {
+      const stub = env.YATI_LOCK.get(env.YATI_LOCK.idFromName("yati-lock"));
+      const r = await stub.fetch("https://yati-lock/extend", {
+        method: "POST",
+        body: JSON.stringify({ name: lock.name, owner: lock.owner, ttlSec: lock.ttlSec })
+      });
+      ok = Boolean((await r.json())?.ok);
+    } else {
+      const key = `lock_v1:${lock.name}`;
+      const cur = await env.YATI_KV.get(key, "json");
+      ok = cur?.owner === lock.owner;
+      if (ok) {
+        await env.YATI_KV.put(key, JSON.stringify({ ...cur, expiresAt: Date.now() + lock.ttlSec * 1000 }), {
+          expirationTtl: lock.ttlSec
+        });
+      }
+    }
+    if (ok) lock.renewedAt = Date.now();
+    else log(env, "[YATI] Lease perdido, dejo de enviar", { name: lock.name });
+    return ok;
+  } catch (e) {
+    log(env, "[YATI] Error renovando lock, dejo de enviar", { name: lock.name, err: String(e) });
+    return false;
+  }
+}
+
+async function releaseLock(env, lock) {
+  if (!lock) return;
+  try {
+    if (env.YATI_LOCK) {
+      const stub = env.YATI_LOCK.get(env.YATI_LOCK.idFromName("yati-lock"));
+      await stub.fetch("https://yati-lock/release", {
+        method: "POST",
+        body: JSON.stringify({ name: lock.name, owner: lock.owner })
+      });
+    } else {
+      const key = `lock_v1:${lock.name}`;
+      const cur = await env.YATI_KV.get(key, "json");
+      if (cur?.owner === lock.owner) await env.YATI_KV.delete(key);
+    }
+  } catch (e) {
+    log(env, "[YATI] Error liberando lock (expira solo)", { name: lock.name, err: String(e) });
+  }
+}
+
+async function recordLockContention(env, name, holder) {
+  const heldForMs = holder?.acquiredAt ? Date.now() - holder.acquiredAt : null;
+  log(env, "[YATI] Lock ocupado (contencion), otro tick esta despachando", {
+    name,
+    heldForMs,
+    expiresAt: holder?.expiresAt ? new Date(holder.expiresAt).toISOString() : null
+  });
+
+  try {
+    const stats = (await env.YATI_KV.get("lock_stats_v1", "json")) || {};
+    await env.YATI_KV.put("lock_stats_v1", JSON.stringify({
+      contentions: Number(stats.contentions || 0) + 1,
+      last_at: new Date().toISOString(),
+      last_name: name,
+      last_held_for_ms: heldForMs
+    }));
+  } catch {}
+}
+
+/* ===============================
+   ✅ PUSH INGEST (POST /ingest)
+   - Headers: X-Yati-Timestamp (unix seg) + X-Yati-Signature: sha256=<hex>
+     firma = HMAC-SHA256(INGEST_HMAC_SECRET, `${timestamp}.${body}`)
+   - Rechaza timestamps fuera de INGEST_MAX_SKEW_SEC (300) y firmas ya usadas (ingest_sig_v1:<firma>)
+   - Body: evento estilo XOR, Feature/FeatureCollection FDSN, o { source, event }
+   - Mismo pipeline que el cron (correlación + registro por evento): no duplica lo que el cron ya vio
+   - No mueve cursores de las fuentes: el cron igual verá el evento y lo descartará por correlación
+================================= */
+
+async function handleIngest(request, env, ctx) {
+  const secret = await getEnvValue(env, "INGEST_HMAC_SECRET");
+  if (!secret) return new Response("Not Found", { status: 404 });
+  if (request.method !== "POST") return new Response("Method Not Allowed", { status: 405 });
+  if (!env.YATI_KV) return new Response("KV not bound (YATI_KV)", { status: 500 });
+
+  const body = await safeText(request);
+  if (!body || body.length > 65536) return new Response("Bad Request", { status: 400 });
+
+  const ts = parseInt(request.headers.get("X-Yati-Timestamp") || "", 10);
+  const sigHeader = String(request.headers.get("X-Yati-Signature") || "").trim();
+  const signature = sigHeader.replace(/^sha256=/i, "").toLowerCase();
+
+  const maxSkew = parseInt(env.INGEST_MAX_SKEW_SEC || "300", 10);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > maxSkew) {
+    log(env, "[YATI] /ingest timestamp fuera de ventana", { ts });
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const expected = await hmacHex("SHA-256", secret, `${ts}.${body}`);
+  if (!signature || !timingSafeEqual(signature, expected)) {
+    log(env, "[YATI] /ingest firma invalida");
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  // Anti-replay: cada firma se acepta una sola vez dentro de la ventana
+  const replayKey = `ingest_sig_v1:${signature}`;
+  if (await env.YATI_KV.get(replayKey)) {
+    log(env, "[YATI] /ingest firma repetida (replay)", { ts });
+    return new Response("Conflict", { status: 409 });
+  }
+  await env.YATI_KV.put(replayKey, "1", { expirationTtl: Math.max(60, maxSkew * 2) });
+
+  let events;
+  try {
+    events = parsePushedEvents(body);
+  } catch (e) {
+    return new Response(`Bad Request: ${String(e).slice(0, 120)}`, { status: 400 });
+  }
+  if (!events.length) return new Response("Bad Request: sin eventos", { status: 400 });
+
+  log(env, "[YATI] /ingest recibido", { events: events.map(ev => ev.id) });
+  ctx.waitUntil(processPushedEvents(env, events));
+
+  return new Response(JSON.stringify({ ok: true, events: events.map(ev => ev.id) }), {
+    status: 202,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+function parsePushedEvents(text) {
+  const data = JSON.parse(text);
+  const name = String(data?.source || "push").toLowerCase().replace(/[^a-z0-9-]/g, "") || "push";
+  const src = { name };
+  const payload = data?.event ?? data;
+
+  let events;
+  if (payload?.type === "FeatureCollection") {
+    events = parseFdsnGeoJson(JSON.stringify(payload), src);
+  } else if (payload?.type === "Feature") {
+    events = parseFdsnGeoJson(JSON.stringify({ features: [payload] }), src);
+  } else if (Array.isArray(payload) || Array.isArray(payload?.events)) {
+    events = parseXorFeed(JSON.stringify(payload), src);
+  } else {
+    events = [normalizeXorEvent(payload, src)];
+  }
+
+  return sortChronological(events.filter(ev => ev.sourceId));
+}
+
+async function processPushedEvents(env, events) {
+  if (!env.RAILWAY_BASE_URL) {
+    console.log("[YATI] Falta env.RAILWAY_BASE_URL");
+    return;
+  }
+
+  const cfg = readAlertConfig(env);
+  const merged = await correlateEvents(env, events);
+
+  // fresh vacío: los cursores de las fuentes solo los mueve el cron
+  const refreshMeta = await runEventQueue(env, merged.map(mev => ({ ...mev, fresh: [], pushed: true })), cfg);
+  if (refreshMeta) {
+    await refreshPublicHtml(env, { ...refreshMeta, deadline: cfg.deadline });
+  }
+}
+
+/* ===============================
+   ✅ COLA DE ENVÍOS (Cloudflare Queues)
+   - Productor: runDispatch encola un mensaje por destinatario en ALERT_QUEUE (sendBatch de a 100)
+   - Consumer queue(): envía con deliverOne; el ledger dlv_v1 evita duplicados si la cola reentrega
+   - Reintentos con msg.retry() y backoff; agotados max_retries -> cola *-dlq (entrada "dead")
+   - Concurrencia: max_batch_size / max_concurrency en wrangler; dentro del batch, envíos en paralelo
+   - DISPATCH_MODE="inline" fuerza el envío secuencial en el tick (igual que sin binding)
+   - Mensajes { type: "push" }: lotes de Web Push (sendPushBatch), ver WEB PUSH
+================================= */
+
+function useAlertQueue(env) {
+  return Boolean(env.ALERT_QUEUE) && String(env.DISPATCH_MODE || "queue") !== "inline";
+}
+
+async function enqueueDeliveries(env, eventId, d, recipients) {
+  let count = 0;
+  for (let i = 0; i < recipients.length; i += 100) {
+    // "queued" ANTES de encolar y solo sin entrada previa: un consumer rápido escribe sending / sent
+    // encima y nunca se pisa con "queued"
+    const chunk = [];
+    for (const r of recipients.slice(i, i + 100)) {
+      if (await loadDelivery(env, eventId, r.key)) continue;
+      await saveDelivery(env, eventId, r.key, {
+        status: "queued",
+        to: r.to,
+        localidad: r.localidad,
+        attempts: 0
+      });
+      chunk.push(r);
+    }
+    if (!chunk.length) continue;
+
+    try {
+      await env.ALERT_QUEUE.sendBatch(chunk.map(r => ({
+        // Mensaje y renderers salen de rec.dispatch en el consumer
+        body: { eventId, recipient: r }
+      })));
+    } catch (e) {
+      // Sin mensaje en la cola: se borra la entrada (si sigue en "queued") para que el próximo tick reencole
+      for (const r of chunk) {
+        const entry = await loadDelivery(env, eventId, r.key);
+        if (entry?.status === "queued") await env.YATI_KV.delete(`dlv_v1:${eventId}:${r.key}`);
+      }
+      throw e;
+    }
+    count += chunk.length;
+  }
+
+  log(env, "[YATI] Destinatarios encolados", { eventId, count });
+}
+
+async function handleAlertQueue(batch, env) {
+  if (String(batch.queue || "").endsWith("-dlq")) {
+    await handleDeadLetters(batch, env);
+    return;
+  }
+
+  // Límite por invocación (con max_concurrency consumers el tope global es DISPATCH_RATE_PER_SEC * N)
+  const limiter = createRateLimiter(parseFloat(env.DISPATCH_RATE_PER_SEC || "10"));
+
+  await Promise.all(batch.messages.map(async msg => {
+    // Lote de Web Push (webPushBroadcast)
+    if (msg.body?.type === "push") {
+      try {
+        await sendPushBatch(env, msg.body.eventId, msg.body.batch, msg.body.subs || []);
+        await finishWebPush(env, msg.body.eventId);
+        msg.ack();
+      } catch (e) {
+        log(env, "[YATI] Error en lote push, reintento", { eventId: msg.body.eventId, batch: msg.body.batch, err: String(e) });
+        msg.retry({ delaySeconds: Math.min(2 ** msg.attempts * 5, 300) });
+      }
+      return;
+    }
+
+    const { eventId, recipient: r } = msg.body || {};
+    const key = r?.key;
+    const to = r?.to;
+    if (!eventId || !key || !to) {
+      log(env, "[YATI] Mensaje de cola invalido, descarto", { id: msg.id });
+      msg.ack();
+      return;
+    }
+
+    const entry = await loadDelivery(env, eventId, key);
+    if (["sent", "unknown", "dead"].includes(entry?.status)) {
+      msg.ack();
+      return;
+    }
+    if (entry?.status === "sending") {
+      // Reentrega tras un consumer interrumpido a mitad del envío: no se sabe si salió
+      await saveDelivery(env, eventId, key, { status: "unknown" });
+      log(env, "[YATI] Envio en estado desconocido (consumer interrumpido), no reenvio", { eventId, to });
+      msg.ack();
+      return;
+    }
+
+    const rec = await loadEventRecord(env, eventId);
+    if (!rec?.dispatch || rec.status === "cancelled") {
+      await saveDelivery(env, eventId, key, { status: "dead", last_error: rec ? "cancelled" : "sin registro de evento" });
+      msg.ack();
+      return;
+    }
+
+    const attempt = Number(entry?.attempts || 0) + 1;
+    const res = await deliverOne(env, eventId, r, rec.dispatch, attempt, limiter);
+    if (res.ok) {
+      msg.ack();
+    } else {
+      const retryAfterSec = Math.ceil((res.err?.retryAfterMs || 0) / 1000);
+      msg.retry({ delaySeconds: Math.min(Math.max(2 ** msg.attempts * 5, retryAfterSec), 300) });
+    }
+  }));
+}
+
+async function handleDeadLetters(batch, env) {
+  for (const msg of batch.messages) {
+    if (msg.body?.type === "push") {
+      log(env, "[YATI] Lote push agotado (dead-letter)", { eventId: msg.body.eventId, batch: msg.body.batch, attempts: msg.attempts });
+      msg.ack();
+      continue;
+    }
+
+    const { eventId, recipient } = msg.body || {};
+    const key = recipient?.key;
+    const to = recipient?.to;
+    if (eventId && key) {
+      const entry = await loadDelivery(env, eventId, key);
+      if (entry?.status !== "sent") {
+        await saveDelivery(env, eventId, key, { status: "dead" });
+      }
+    }
+    log(env, "[YATI] Envio agotado (dead-letter)", { eventId, to, attempts: msg.attempts });
+    await notifyOps(env, "dead-letter", "envio agotado en dead-letter queue", { eventId, attempts: msg.attempts });
+    msg.ack();
+  }
+}
+
+/* ===============================
+   ✅ TWILIO STATUS CALLBACK (POST /twilio/status?event=<id>&rcpt=<destinatario>)
+   - twilioSms / twilioCall piden StatusCallback a esta URL (requiere WORKER_PUBLIC_URL)
+   - Firma X-Twilio-Signature = base64(HMAC-SHA1(TWILIO_AUTH_TOKEN, url + params ordenados))
+   - Guarda carrier_status / carrier_error en dlv_v1:<evento>:<destinatario>
+   - Callbacks desordenados: un estado final no se pisa con uno intermedio
+   - ?step=call (llamada de escalamiento): actualiza call_status en vez de carrier_status
+================================= */
+
+const CARRIER_STATUS_RANK = {
+  queued: 1, accepted: 1, scheduled: 1, sending: 1, initiated: 1,
+  sent: 2, ringing: 2, "in-progress": 2,
+  delivered: 3, read: 3, undelivered: 3, failed: 3,
+  completed: 3, busy: 3, "no-answer": 3, canceled: 3
+};
+
+function twilioStatusCallbackUrl(env, eventId, key, step = "") {
+  if (!env.WORKER_PUBLIC_URL) return "";
+  const u = new URL(env.WORKER_PUBLIC_URL.replace(/\/$/, "") + "/twilio/status");
+  u.searchParams.set("event", eventId);
+  u.searchParams.set("rcpt", key);
+  if (step) u.searchParams.set("step", step);
+  return u.toString();
+}
+
+async function verifyTwilioSignature(request, env, params) {
+  const token = await getEnvValue(env, "TWILIO_AUTH_TOKEN");
+  const signature = String(request.headers.get("X-Twilio-Signature") || "").trim();
+  if (!token || !signature) return false;
+
+  const data = request.url + [...params]
+    .sort(([ka, va], [kb, vb]) => (ka < kb ? -1 : ka > kb ? 1 : va < vb ? -1 : va > vb ? 1 : 0))
+    .map(([k, v]) => k + v)
+    .join("");
+
+  return timingSafeEqual(signature, await hmacBase64("SHA-1", token, data));
+}
+
+async function handleTwilioStatus(request, env) {
+  if (request.method !== "POST") return new Response("Method Not Allowed", { status: 405 });
+  if (!env.YATI_KV) return new Response("KV not bound (YATI_KV)", { status: 500 });
+
+  const params = new URLSearchParams(await safeText(request));
+  if (!(await verifyTwilioSignature(request, env, params))) {
+    log(env, "[YATI] /twilio/status firma invalida");
+    return new Response("Forbidden", { status: 403 });
+  }
+
+  const url = new URL(request.url);
+  const eventId = url.searchParams.get("event") || "";
+  const key = url.searchParams.get("rcpt") || "";
+  const status = String(params.get("MessageStatus") || params.get("CallStatus") || "").toLowerCase();
+  if (!eventId || !key || !status) return new Response("Bad Request", { status: 400 });
+
+  const entry = await loadDelivery(env, eventId, key);
+  if (!entry) {
+    // Ledger expirado (EVENT_RECORD_TTL_DAYS) o destinatario desconocido: no hay nada que actualizar
+    log(env, "[YATI] /twilio/status sin entrada en ledger", { eventId, status });
+    return new Response("OK");
+  }
+
+  // Llamada de escalamiento: va en call_status (carrier_status es del SMS)
+  if (url.searchParams.get("step") === "call") {
+    if ((CARRIER_STATUS_RANK[status] || 0) >= (CARRIER_STATUS_RANK[entry.call_status] || 0)) {
+      await saveDelivery(env, eventId, key, { call_status: status });
+      if (CARRIER_STATUS_RANK[status] === 3) {
+        await appendEscalationStep(env, eventId, key, { step: "call-status", n: entry.calls || 0, result: status });
+      }
+    }
+    return new Response("OK");
+  }
+
+  if ((CARRIER_STATUS_RANK[status] || 0) < (CARRIER_STATUS_RANK[entry.carrier_status] || 0)) {
+    return new Response("OK");
+  }
+
+  const errorCode = params.get("ErrorCode") || null;
+  await saveDelivery(env, eventId, key, {
+    carrier_status: status,
+    carrier_error: errorCode,
+    carrier_updated_at: new Date().toISOString(),
+    sid: entry.sid || params.get("MessageSid") || params.get("CallSid") || null
+  });
+
+  if (["undelivered", "failed", "busy", "no-answer", "canceled"].includes(status)) {
+    log(env, "[YATI] Operador no entrego", { eventId, to: entry.to, localidad: entry.localidad, status, errorCode });
+  }
+
+  return new Response("OK");
+}
+
+/* ===============================
+   🔒 ADMIN: tasas de entrega (GET /admin/delivery?event=<id>)
+   - Authorization: Bearer <ADMIN_TOKEN> (sin ADMIN_TOKEN configurado -> 404)
+   - Sin ?event usa last_alerted_event_id
+   - Totales y por localidad: delivered / undelivered / awaiting (aceptado, sin confirmación final) /
+     send_failed (Twilio rechazó) / unknown / pending
+================================= */
+
+async function requireAdmin(request, env) {
+  const token = await getEnvValue(env, "ADMIN_TOKEN");
+  if (!token) return new Response("Not Found", { status: 404 });
+
+  const given = String(request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "").trim();
+  if (!given || !timingSafeEqual(given, token)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+  return null;
+}
+
+async function handleAdminDelivery(request, env, url) {
+  const denied = await requireAdmin(request, env);
+  if (denied) return denied;
+  if (!env.YATI_KV) return new Response("KV not bound (YATI_KV)", { status: 500 });
+
+  const eventId = url.searchParams.get("event") || (await env.YATI_KV.get("last_alerted_event_id")) || "";
+  const rec = eventId ? await loadEventRecord(env, eventId) : null;
+  if (!rec?.dispatch) {
+    return new Response(JSON.stringify({ ok: false, error: "evento sin despacho", event: eventId }), {
+      status: 404,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  const stats = await deliveryStats(env, rec);
+  return new Response(JSON.stringify({
+    ok: true,
+    event: eventId,
+    status: rec.status,
+    mag: rec.mag,
+    referencia: rec.referencia || "",
+    ...stats
+  }, null, 2), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+async function deliveryStats(env, rec) {
+  const empty = () => ({ total: 0, delivered: 0, undelivered: 0, awaiting: 0, send_failed: 0, unknown: 0, pending: 0 });
+  const totals = empty();
+  const byLoc = {};
+  const byProvider = {};
+
+  for (const r of rec.dispatch?.recipients || []) {
+    const entry = await loadDelivery(env, rec.id, r.key);
+    const loc = r.localidad || "(sin localidad)";
+    byLoc[loc] = byLoc[loc] || empty();
+
+    let bucket = "pending";
+    if (entry?.status === "sent") {
+      const provider = entry.provider || entry.channel || "(sin proveedor)";
+      byProvider[provider] = (byProvider[provider] || 0) + 1;
+      const cs = entry.carrier_status || "";
+      if (["delivered", "read", "completed"].includes(cs)) bucket = "delivered";
+      else if (["undelivered", "failed", "busy", "no-answer", "canceled"].includes(cs)) bucket = "undelivered";
+      else bucket = "awaiting";
+    } else if (entry?.status === "failed" || entry?.status === "dead") {
+      bucket = "send_failed";
+    } else if (entry?.status === "unknown") {
+      bucket = "unknown";
+    }
+
+    for (const b of [totals, byLoc[loc]]) {
+      b.total++;
+      b[bucket]++;
+    }
+  }
+
+  for (const b of [totals, ...Object.values(byLoc)]) {
+    const accepted = b.delivered + b.undelivered + b.awaiting;
+    b.delivery_rate = accepted ? Math.round((b.delivered / accepted) * 1000) / 1000 : null;
+    b.undelivered_rate = accepted ? Math.round((b.undelivered / accepted) * 1000) / 1000 : null;
+  }
+
+  return { totals, by_localidad: byLoc, sent_by_provider: byProvider };
+}
+
+/* ===============================
+   ✅ SMS ENTRANTES (POST /twilio/inbound, webhook "A message comes in" del número Twilio)
+   - Firma X-Twilio-Signature (misma validación que /twilio/status)
+   - BAJA / STOP: deshabilita los targets de ese teléfono
+   - ALTA [localidad] [mag]: alta o cambio; la localidad se valida contra el catálogo de localidades
+   - ULTIMO: último evento con buildMessageCompact (Railway; si falla, el último SMS enviado)
+   - OK / BIEN / ESTOY BIEN / AYUDA con chequeo vigente: respuesta al chequeo "estoy bien"
+   - AYUDA / INFO (o texto desconocido): lista de comandos
+   - Respuesta TwiML <Message>, en ASCII y recortada a SMS_MAX_LEN
+================================= */
+
+const INBOUND_HELP = "YATI: ALTA <localidad> <mag> suscribe o cambia | BAJA deja de recibir | ULTIMO ultimo sismo | AYUDA comandos";
+
+async function handleTwilioInbound(request, env) {
+  if (request.method !== "POST") return new Response("Method Not Allowed", { status: 405 });
+  if (!env.YATI_KV) return new Response("KV not bound (YATI_KV)", { status: 500 });
+
+  const params = new URLSearchParams(await safeText(request));
+  if (!(await verifyTwilioSignature(request, env, params))) {
+    log(env, "[YATI] /twilio/inbound firma invalida");
+    return new Response("Forbidden", { status: 403 });
+  }
+
+  const from = String(params.get("From") || "").trim();
+  const key = recipientKey(from);
+  if (!key) return twimlMessage(env, "");
+
+  const text = toAscii(params.get("Body") || "").replace(/\s+/g, " ").trim();
+  const [word = "", ...args] = text.split(" ");
+  const command = word.toUpperCase();
+  log(env, "[YATI] SMS entrante", { from, command });
+
+  // Respuesta a un chequeo "estoy bien" vigente (AYUDA sin chequeo vigente = lista de comandos)
+  if (["OK", "BIEN", "AYUDA"].includes(command) || text.toUpperCase() === "ESTOY BIEN") {
+    const reply = await handleCheckinReply(env, key, command === "AYUDA" ? "help" : "ok");
+    if (reply) return twimlMessage(env, reply);
+  }
+
+  if (command === "BAJA" || command === "STOP") {
+    const reply = await inboundBaja(env, key);
+    // STOP lo contesta Twilio (opt-out del operador); una respuesta nuestra sería bloqueada
+    return twimlMessage(env, command === "STOP" ? "" : reply);
+  }
+  if (command === "ALTA") {
+    return twimlMessage(env, await inboundAlta(env, from, key, args));
+  }
+  if (command === "ULTIMO") {
+    return twimlMessage(env, await inboundUltimo(env));
+  }
+
+  return twimlMessage(env, INBOUND_HELP);
+}
+
+async function inboundBaja(env, key) {
+  const changed = await disableTargets(env, t => recipientKey(t.phone) === key);
+  if (!changed) return "YATI: este numero no esta suscrito. Envia ALTA <localidad> para suscribirte.";
+
+  log(env, "[YATI] Baja por SMS", { changed });
+  return "YATI: baja confirmada, no recibiras mas alertas. Envia ALTA para volver.";
+}
+
+async function inboundAlta(env, from, key, args) {
+  const sub = await parseSubscriptionArgs(env, args, "ALTA Talca 5.5");
+  if (sub.error) return `YATI: ${sub.error}`;
+
+  const t = await upsertTarget(env, x => recipientKey(x.phone) === key, { user: "sms", phone: from }, sub);
+  log(env, "[YATI] Alta por SMS", { localidad: t.localidad, min_mag: t.min_mag });
+
+  const where = t.localidad || "todas las localidades";
+  return `YATI: alta OK. ${where}, desde M${Number(t.min_mag || 0).toFixed(1)}. BAJA para salir.`;
+}
+
+// "[localidad] [mag]" -> { localidad, mag, wanted } o { error }; localidad validada contra el catálogo
+async function parseSubscriptionArgs(env, args, example) {
+  const words = [...args];
+
+  let mag = null;
+  if (words.length && /^\d+([.,]\d+)?$/.test(words[words.length - 1])) {
+    mag = Number(words.pop().replace(",", "."));
+    if (!(mag >= 0 && mag <= 10)) return { error: `magnitud invalida. Ej: ${example}` };
+  }
+
+  const wanted = words.join(" ");
+  let localidad = "";
+  if (wanted) {
+    const catalog = await loadLocalidadesCatalog(env);
+    const hit = catalog.find(x => normLocalidad(x.localidad) === normLocalidad(wanted));
+    if (!hit) return { error: `no reconozco la localidad ${wanted}. Ej: ${example}` };
+    localidad = hit.localidad;
+  }
+
+  return { localidad, mag, wanted };
+}
+
+// Alta o cambio del primer target que cumpla match; sin localidad / sin mag conserva lo que tenía
+async function upsertTarget(env, match, fresh, sub) {
+  const targets = await loadTargets(env);
+  const now = new Date().toISOString();
+
+  let t = targets.find(match);
+  if (t) {
+    t.enabled = true;
+    t.updated_at = now;
+    if (sub.wanted) t.localidad = sub.localidad;
+    if (sub.mag !== null) t.min_mag = sub.mag;
+  } else {
+    t = { ...fresh, min_mag: sub.mag ?? 0, localidad: sub.localidad, enabled: true, created_at: now };
+    targets.push(t);
+  }
+
+  await saveTargets(env, targets);
+  return t;
+}
+
+async function disableTargets(env, match) {
+  const targets = await loadTargets(env);
+  const now = new Date().toISOString();
+
+  let changed = 0;
+  for (const t of targets) {
+    if (!match(t) || !t.enabled) continue;
+    t.enabled = false;
+    t.updated_at = now;
+    changed++;
+  }
+
+  if (changed) await saveTargets(env, targets);
+  return changed;
+}
+
+async function inboundUltimo(env) {
+  // Twilio espera la respuesta del webhook ~15 s
+  const cfg = { ...readAlertConfig(env), deadline: Date.now() + 10000 };
+
+  const payload = env.RAILWAY_BASE_URL ? await fetchRailwayAlert(env, null, cfg) : null;
+  if (payload?.evento) {
+    return buildMessageCompact(env, {
+      evento: payload.evento,
+      locs: Array.isArray(payload.localidades) ? payload.localidades : [],
+      top: cfg.ALERTA_TOP
+    });
+  }
+
+  const lastId = await env.YATI_KV.get("last_alerted_event_id");
+  const rec = lastId ? await loadEventRecord(env, lastId) : null;
+  if (rec?.dispatch?.message) return rec.dispatch.message;
+
+  return "YATI: sin sismos recientes informados.";
+}
+
+function normLocalidad(s) {
+  return toAscii(s).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function twimlMessage(env, text) {
+  const msg = clampSmsAscii(env, toAscii(text));
+  const xml = msg
+    ? `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Message>${escapeXml(msg)}</Message>
+</Response>`
+    : `<?xml version="1.0" encoding="UTF-8"?>
+<Response></Response>`;
+  return new Response(xml, {
+    headers: { "Content-Type": "text/xml; charset=utf-8" }
+  });
+}
+
+/* ===============================
+   ✅ CHEQUEO "ESTOY BIEN" (tras intensidad alta)
+   - Destinatarios con intensidad predicha >= CHECKIN_MIN_INTENSITY reciben el SMS con
+     "Responde OK o AYUDA" (solo canal sms)
+   - Respuesta (OK / BIEN / ESTOY BIEN / AYUDA por /twilio/inbound) -> checkin_status en el ledger
+     dlv_v1:<evento>:<destinatario>; puntero checkin_active_v1:<destinatario> al evento vigente
+   - Contactos de emergencia del target (emergency_contacts: [{ name, phone }] o teléfonos) reciben
+     el estado; sin respuesta en CHECKIN_TIMEOUT_MIN -> aviso "no respondio" (cron, checkin_events_v1)
+================================= */
+
+const CHECKIN_SUFFIX = " | Responde OK o AYUDA";
+
+function readCheckinConfig(env) {
+  return {
+    enabled: String(env.CHECKIN_ENABLED || "1") === "1",
+    minIntensity: parseFloat(env.CHECKIN_MIN_INTENSITY || "6"),
+    timeoutMin: parseInt(env.CHECKIN_TIMEOUT_MIN || "30", 10)
+  };
+}
+
+// Mismo mensaje, recortado para que el sufijo de chequeo quepa en SMS_MAX_LEN
+function buildCheckinMessage(env, message) {
+  const maxLen = parseInt(env.SMS_MAX_LEN || "155", 10);
+  return clampSmsAscii(env, message, maxLen - CHECKIN_SUFFIX.length) + CHECKIN_SUFFIX;
+}
+
+async function openCheckin(env, eventId, r, deadline) {
+  await saveDelivery(env, eventId, r.key, { checkin_status: "pending", checkin_deadline: deadline });
+
+  const ttl = Math.max(60, Math.ceil((Date.parse(deadline) - Date.now()) / 1000) + 6 * 3600);
+  await env.YATI_KV.put(`checkin_active_v1:${r.key}`, JSON.stringify({ eventId, deadline }), {
+    expirationTtl: ttl
+  });
+}
+
+// Evento con chequeo abierto: el cron revisa su plazo (un solo escritor: el despacho bajo lock)
+async function watchCheckins(env, eventId, deadline) {
+  const list = await loadCheckinEvents(env);
+  if (!list.some(x => x.eventId === eventId)) {
+    await saveCheckinEvents(env, [...list, { eventId, deadline }]);
+  }
+}
+
+/**
+ * Respuesta de chequeo desde /twilio/inbound. Devuelve el texto de respuesta, o null si ese
+ * teléfono no tiene un chequeo vigente (AYUDA cae entonces en la lista de comandos).
+ */
+async function handleCheckinReply(env, key, status) {
+  let active = null;
+  try {
+    const raw = await env.YATI_KV.get(`checkin_active_v1:${key}`);
+    active = raw ? JSON.parse(raw) : null;
+  } catch {}
+  if (!active?.eventId) return null;
+
+  // Mismo lock que checkCheckinTimeouts: la respuesta y el cierre por plazo no se pisan
+  const lock = await acquireLock(env, `checkin:${active.eventId}`);
+  if (!lock) return "YATI: estamos procesando tu chequeo, responde de nuevo en un minuto.";
+
+  try {
+    const entry = await loadDelivery(env, active.eventId, key);
+    if (!entry) return null;
+    if (entry.checkin_status === status) return "YATI: ya registramos tu respuesta.";
+
+    await saveDelivery(env, active.eventId, key, { checkin_status: status, checkin_at: new Date().toISOString() });
+    log(env, "[YATI] Chequeo respondido", { eventId: active.eventId, status });
+
+    await notifyEmergencyContacts(env, active.eventId, key, status);
+  } finally {
+    await releaseLock(env, lock);
+  }
+
+  return status === "ok"
+    ? "YATI: registramos que estas bien. Avisamos a tus contactos."
+    : "YATI: registramos que necesitas ayuda. Avisamos a tus contactos. SAMU 131, Bomberos 132, Carabineros 133.";
+}
+
+// Cron: chequeos vencidos sin respuesta -> "timeout" + aviso a contactos
+async function checkCheckinTimeouts(env) {
+  const list = await loadCheckinEvents(env);
+  if (!list.length) return;
+
+  const keep = [];
+  for (const item of list) {
+    if (Date.now() < Date.parse(item.deadline || "")) {
+      keep.push(item);
+      continue;
+    }
+
+    // Lock por evento: dos ticks solapados (o una respuesta en curso) no avisan dos veces a los contactos
+    const lock = await acquireLock(env, `checkin:${item.eventId}`);
+    if (!lock) {
+      keep.push(item);
+      continue;
+    }
+
+    try {
+      // Registro y ledger se leen ya con el lock tomado
+      const rec = await loadEventRecord(env, item.eventId);
+      for (const r of rec?.dispatch?.recipients || []) {
+        if (!r.checkin) continue;
+        const entry = await loadDelivery(env, item.eventId, r.key);
+        if (entry?.status !== "sent" || entry.checkin_status !== "pending") continue;
+
+        await saveDelivery(env, item.eventId, r.key, { checkin_status: "timeout", checkin_at: new Date().toISOString() });
+        await notifyEmergencyContacts(env, item.eventId, r.key, "timeout");
+      }
+    } finally {
+      await releaseLock(env, lock);
+    }
+    log(env, "[YATI] Chequeos cerrados por plazo", { eventId: item.eventId });
+  }
+
+  if (keep.length !== list.length) await saveCheckinEvents(env, keep);
+}
+
+async function notifyEmergencyContacts(env, eventId, key, status) {
+  const targets = await loadTargets(env);
+  const target = targets.find(t => recipientKey(t.phone) === key);
+  const contacts = (Array.isArray(target?.emergency_contacts) ? target.emergency_contacts : [])
+    .map(c => (typeof c === "string" ? { phone: c } : c))
+    .filter(c => recipientKey(c?.phone) && recipientKey(c.phone) !== key);
+  if (!contacts.length) return;
+
+  const rec = await loadEventRecord(env, eventId);
+  const who = target.user || target.phone;
+  const sismo = `sismo M${Number(rec?.mag || 0).toFixed(1)}${target.localidad ? ` (${target.localidad})` : ""}`;
+  const text = {
+    ok: `YATI: ${who} respondio que esta bien tras ${sismo}.`,
+    help: `YATI: ${who} pidio AYUDA tras ${sismo}. Contactalo. SAMU 131, Bomberos 132.`,
+    timeout: `YATI: ${who} no respondio el chequeo tras ${sismo}.`
+  }[status];
+
+  for (const c of contacts) {
+    try {
+      await sendSms(env, String(c.phone).trim(), clampSmsAscii(env, toAscii(text)));
+      log(env, "[YATI] Contacto de emergencia avisado", { eventId, status });
+    } catch (e) {
+      log(env, "[YATI] Error avisando contacto de emergencia", { eventId, status, err: String(e) });
+    }
+  }
+}
+
+async function loadCheckinEvents(env) {
+  try {
+    const raw = await env.YATI_KV.get("checkin_events_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveCheckinEvents(env, list) {
+  await env.YATI_KV.put("checkin_events_v1", JSON.stringify(list));
+}
+
+/* ===============================
+   ✅ ESCALAMIENTO SMS -> LLAMADA (intensidad predicha >= ESCALATION_MIN_INTENSITY)
+   - El SMS sale de inmediato (con "Responde OK o AYUDA"); acuse = respuesta al chequeo o llamada
+     contestada (CallStatus completed, vía /twilio/status?step=call)
+   - Sin acuse en ESCALATION_WINDOW_MIN, o SMS fallido/no entregado -> twilioCall; se repite cada
+     ventana hasta ESCALATION_MAX_CALLS
+   - Cada paso queda en dlv_v1:<evento>:<destinatario>.escalation [{ step, at, result }]
+   - El cron revisa los eventos de escalation_events_v1
+================================= */
+
+function readEscalationConfig(env) {
+  return {
+    enabled: String(env.ESCALATION_ENABLED || "1") === "1",
+    minIntensity: parseFloat(env.ESCALATION_MIN_INTENSITY || "7"),
+    windowMin: parseInt(env.ESCALATION_WINDOW_MIN || "5", 10),
+    maxCalls: parseInt(env.ESCALATION_MAX_CALLS || "2", 10)
+  };
+}
+
+async function watchEscalations(env, eventId) {
+  const ecfg = readEscalationConfig(env);
+  const deliveryMin = parseInt(env.DELIVERY_DEADLINE_MIN || "15", 10);
+  const until = new Date(Date.now() + (deliveryMin + ecfg.windowMin * (ecfg.maxCalls + 1)) * 60 * 1000).toISOString();
+
+  const list = await loadEscalationEvents(env);
+  if (!list.some(x => x.eventId === eventId)) {
+    await saveEscalationEvents(env, [...list, { eventId, until }]);
+  }
+}
+
+async function appendEscalationStep(env, eventId, key, step) {
+  const entry = await loadDelivery(env, eventId, key);
+  const steps = Array.isArray(entry?.escalation) ? entry.escalation : [];
+  return await saveDelivery(env, eventId, key, {
+    escalation: [...steps, { ...step, at: new Date().toISOString() }]
+  });
+}
+
+// "done" (acuse o llamadas agotadas) | "call" | "wait"
+function nextEscalationStep(entry, ecfg) {
+  if (!entry) return "wait";
+  if (["ok", "help"].includes(entry.checkin_status) || entry.call_status === "completed") return "done";
+
+  const calls = Number(entry.calls || 0);
+  if (calls >= ecfg.maxCalls) return "done";
+
+  const smsFailed = ["failed", "dead"].includes(entry.status) || ["undelivered", "failed"].includes(entry.carrier_status);
+  if (!calls && smsFailed) return "call";
+
+  const since = Date.parse((calls ? entry.last_call_at : entry.sent_at) || "");
+  if (!Number.isFinite(since)) return "wait";
+  return Date.now() - since >= ecfg.windowMin * 60 * 1000 ? "call" : "wait";
+}
+
+async function checkEscalations(env) {
+  const list = await loadEscalationEvents(env);
+  if (!list.length) return;
+
+  const ecfg = readEscalationConfig(env);
+  const keep = [];
+
+  for (const item of list) {
+    // Lock por evento: dos ticks solapados no pueden llamar dos veces al mismo destinatario
+    const lock = await acquireLock(env, `escalation:${item.eventId}`);
+    if (!lock) {
+      keep.push(item);
+      continue;
+    }
+
+    let open = 0;
+    try {
+      // Registro y ledger se leen ya con el lock tomado
+      const rec = await loadEventRecord(env, item.eventId);
+      if (!rec?.dispatch || rec.status === "cancelled") continue;
+
+      for (const r of rec.dispatch.recipients || []) {
+        if (!r.escalate) continue;
+
+        const entry = await loadDelivery(env, item.eventId, r.key);
+        const step = nextEscalationStep(entry, ecfg);
+        if (step === "done") continue;
+
+        open++;
+        if (step === "call") await escalateCall(env, rec, r, entry);
+      }
+    } finally {
+      await releaseLock(env, lock);
+    }
+
+    if (open && Date.now() < Date.parse(item.until || "")) {
+      keep.push(item);
+    } else {
+      log(env, "[YATI] Escalamiento cerrado", { eventId: item.eventId, open });
+    }
+  }
+
+  if (keep.length !== list.length) await saveEscalationEvents(env, keep);
+}
+
+async function escalateCall(env, rec, r, entry) {
+  const n = Number(entry?.calls || 0) + 1;
+  const intensity = Number.isFinite(r.intensity) ? ` Intensidad estimada ${r.intensity}${r.localidad ? ` en ${r.localidad}` : ""}.` : "";
+  const text = `Alerta sismica YATI. Sismo magnitud ${Number(rec.mag || 0).toFixed(1)}.${intensity} Si esta bien, responda OK al mensaje de texto.`;
+
+  let result = "initiated";
+  try {
+    await twilioCall(env, r.to, text, { statusCallback: twilioStatusCallbackUrl(env, rec.id, r.key, "call") });
+    log(env, "[YATI] Escalamiento: llamada", { eventId: rec.id, to: r.to, n });
+  } catch (e) {
+    result = "error";
+    log(env, "[YATI] Escalamiento: error en llamada", { eventId: rec.id, to: r.to, n, err: String(e) });
+  }
+
+  await saveDelivery(env, rec.id, r.key, {
+    calls: n,
+    last_call_at: new Date().toISOString(),
+    call_status: result
+  });
+  await appendEscalationStep(env, rec.id, r.key, { step: "call", n, result });
+}
+
+async function loadEscalationEvents(env) {
+  try {
+    const raw = await env.YATI_KV.get("escalation_events_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveEscalationEvents(env, list) {
+  await env.YATI_KV.put("escalation_events_v1", JSON.stringify(list));
+}
+
+/* ===============================
+   ✅ CANALES DE ENVÍO (preferencias por target)
+   - Target: channels: [{ type, to }] en orden de preferencia; type = sms | call | whatsapp |
+     telegram | email | webhook. Sin channels: [{ type: ALERTA_CANAL, to: phone }]
+   - CHANNELS[type] = { render(env, dispatch, recipient), send(env, { to, secret? }, message, opts) }
+   - Los renderers parten del mensaje de buildMessageCompact (dispatch.message); los de cuerpo
+     largo (WhatsApp, Telegram, email) usan dispatch.evento / dispatch.locs
+   - Canal sin implementación: se registra el error y se pasa al siguiente
+================================= */
+
+const CHANNELS = {
+  sms: {
+    render: renderSmsMessage,
+    send: (env, ch, message, opts) => sendSms(env, ch.to, message, opts)
+  },
+  call: {
+    render: renderVoiceMessage,
+    send: (env, ch, message, opts) => twilioCall(env, ch.to, message, opts)
+  },
+  whatsapp: {
+    render: renderWhatsAppMessage,
+    send: (env, ch, message, opts) => twilioWhatsApp(env, ch.to, message, opts)
+  },
+  telegram: {
+    render: renderTelegramMessage,
+    send: (env, ch, message) => telegramSendMessage(env, ch.to, message)
+  },
+  email: {
+    render: renderEmailMessage,
+    send: (env, ch, message) => sendEmail(env, ch.to, message)
+  },
+  webhook: {
+    render: renderWebhookMessage,
+    send: (env, ch, message) => sendTargetWebhook(env, ch, message)
+  }
+};
+
+function renderSmsMessage(env, d, r) {
+  return r?.checkin && d.checkin_message ? d.checkin_message : d.message;
+}
+
+// <Say> lee el mismo texto compacto (igual que ALERTA_CANAL=call)
+function renderVoiceMessage(env, d) {
+  return d.message;
+}
+
+// WhatsApp: sin el corte ASCII del SMS; tildes, todas las localidades y link a /public.
+// variables: para la plantilla aprobada ({{1}} mag, {{2}} hora, {{3}} referencia, {{4}} localidades, {{5}} link)
+function renderWhatsAppMessage(env, d) {
+  if (!d.evento) return { body: d.message };
+
+  const p = longAlertParts(env, d);
+  return {
+    body: buildLongAlertText(p).slice(0, 1600),
+    variables: {
+      1: p.mag,
+      2: p.dt,
+      3: p.ref || "-",
+      4: p.locs.join(", ").slice(0, 900) || "-",
+      5: p.publicUrl || "-"
+    }
+  };
+}
+
+// Telegram: mismo texto largo que WhatsApp (tope 4096 de sendMessage)
+function renderTelegramMessage(env, d) {
+  if (!d.evento) return d.message;
+  return buildLongAlertText(longAlertParts(env, d)).slice(0, 4096);
+}
+
+function longAlertParts(env, d) {
+  const M = safeNum(d.evento.magnitud);
+  return {
+    mag: Number.isFinite(M) ? M.toFixed(1) : String(d.evento.magnitud ?? ""),
+    dt: formatFechaHora(d.evento.FechaHora),
+    ref: String(d.evento.Referencia || "").trim(),
+    locs: (Array.isArray(d.locs) ? d.locs : [])
+      .filter(x => x?.localidad)
+      .map(x => `${x.localidad}: ${x.intensidad_predicha ?? "?"}`),
+    publicUrl: env.WORKER_PUBLIC_URL ? env.WORKER_PUBLIC_URL.replace(/\/$/, "") + "/public" : ""
+  };
+}
+
+function buildLongAlertText(p) {
+  const lines = [`YATI: sismo M${p.mag}`];
+  if (p.dt !== "NA") lines.push(`Hora: ${p.dt}`);
+  if (p.ref) lines.push(`Referencia: ${p.ref}`);
+  if (p.locs.length) lines.push("", "Intensidad estimada:", ...p.locs.map(x => `- ${x}`));
+  if (p.publicUrl) lines.push("", `Más información: ${p.publicUrl}`);
+  return lines.join("\n");
+}
+
+// Canales del target normalizados; acepta la dirección como to / address / phone / chat_id / email / url
+function targetChannels(t, defaultCanal) {
+  if (Array.isArray(t.channels) && t.channels.length) {
+    return t.channels
+      .map(c => ({
+        type: String(c?.type || "").toLowerCase().trim(),
+        to: String(c?.to ?? c?.address ?? c?.phone ?? c?.chat_id ?? c?.email ?? c?.url ?? "").trim(),
+        ...(c?.secret ? { secret: String(c.secret) } : {})
+      }))
+      .filter(c => c.type && c.to);
+  }
+
+  const phone = String(t.phone || "").trim();
+  return phone ? [{ type: defaultCanal, to: phone }] : [];
+}
+
+// Webhook propio del suscriptor: JSON con el texto compacto y el detalle de Railway
+function renderWebhookMessage(env, d) {
+  return {
+    type: "alert",
+    text: d.message,
+    evento: d.evento || null,
+    localidades: Array.isArray(d.locs) ? d.locs : []
+  };
+}
+
+// channels: [{ type: "webhook", to: "https://...", secret? }]; con secret firma igual que los webhooks de socios
+async function sendTargetWebhook(env, ch, message) {
+  let url;
+  try {
+    url = new URL(ch.to);
+  } catch {}
+  if (url?.protocol !== "https:") throw new Error(`Webhook del target sin url https: ${ch.to}`);
+
+  const deliveryId = crypto.randomUUID();
+  const ts = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    ...(typeof message === "string" ? { type: "revision", text: message } : message),
+    delivery_id: deliveryId,
+    sent_at: new Date().toISOString()
+  });
+
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "YATI-Worker/1.0",
+    "X-Yati-Delivery": deliveryId,
+    "X-Yati-Timestamp": String(ts)
+  };
+  if (ch.secret) headers["X-Yati-Signature"] = `sha256=${await hmacHex("SHA-256", ch.secret, `${ts}.${body}`)}`;
+
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), parseInt(env.WEBHOOK_TIMEOUT_MS || "5000", 10));
+  try {
+    const r = await fetch(url.toString(), { method: "POST", headers, body, signal: ctrl.signal });
+    const txt = await safeText(r);
+    if (!r.ok) {
+      const err = new Error(`Webhook no OK: ${r.status} ${txt?.slice(0, 300)}`);
+      err.status = r.status;
+      if (r.status === 429) err.code = "RATE_LIMITED";
+      throw err;
+    }
+    return JSON.stringify({ sid: deliveryId });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Registros anteriores a los canales por target: solo to + canal global
+function recipientChannels(r, d) {
+  return Array.isArray(r.channels) && r.channels.length ? r.channels : [{ type: d.canal, to: r.to }];
+}
+
+// Teléfono normalizado si lo hay (dedupe con /twilio/inbound); si no, el primer canal
+function targetKey(t, channels) {
+  const phone = recipientKey(t.phone);
+  if (phone) return phone;
+  const c = channels[0];
+  return c ? `${c.type}:${c.to.toLowerCase()}` : "";
+}
+
+/* ===============================
+   ✅ TELEGRAM (bot)
+   - Canal "telegram" en CHANNELS: DM al chat_id del target (channels: [{ type: "telegram", to }])
+   - Difusión: cada evento que pasa los umbrales se publica una vez en TELEGRAM_CHANNEL_ID
+   - POST /telegram/webhook (setWebhook con secret_token = TELEGRAM_WEBHOOK_SECRET):
+     /start [localidad] [mag] alta o cambio, /stop baja, /ultimo último evento, /ayuda comandos
+   - Los chats suscritos se guardan como targets en alert_targets_v1 (telegram_chat_id)
+   - Respuesta al comando en el mismo webhook ({ method: "sendMessage" })
+================================= */
+
+const TELEGRAM_HELP = "YATI: /start <localidad> <mag> suscribe o cambia, /stop deja de recibir, /ultimo último sismo, /ayuda comandos";
+
+async function telegramSendMessage(env, chatId, text) {
+  const token = await getEnvValue(env, "TELEGRAM_BOT_TOKEN");
+  if (!token) throw new Error("Falta TELEGRAM_BOT_TOKEN. Revisa Secrets Store bindings.");
+
+  const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ chat_id: chatId, text: String(text), disable_web_page_preview: true })
+  });
+
+  const txt = await safeText(r);
+  if (!r.ok) {
+    const err = new Error(`Telegram no OK: ${r.status} ${txt?.slice(0, 300)}`);
+    err.status = r.status;
+    if (r.status === 429) {
+      err.code = "RATE_LIMITED";
+      try {
+        const retryAfter = Number(JSON.parse(txt)?.parameters?.retry_after);
+        if (Number.isFinite(retryAfter)) err.retryAfterMs = retryAfter * 1000;
+      } catch {}
+    }
+    throw err;
+  }
+  return txt;
+}
+
+// Publicación en el canal público, una sola vez por evento (telegram_broadcast_at en el registro)
+async function telegramBroadcast(env, eventId, content) {
+  const channelId = String(env.TELEGRAM_CHANNEL_ID || "").trim();
+  if (!channelId) return;
+
+  const rec = await loadEventRecord(env, eventId);
+  if (rec?.telegram_broadcast_at) return;
+
+  try {
+    await telegramSendMessage(env, channelId, renderTelegramMessage(env, content));
+    await saveEventRecord(env, eventId, { telegram_broadcast_at: new Date().toISOString() });
+    log(env, "[YATI] Evento publicado en canal Telegram", { eventId, channelId });
+  } catch (e) {
+    log(env, "[YATI] Error publicando en canal Telegram", { eventId, err: String(e) });
+  }
+}
+
+async function handleTelegramWebhook(request, env) {
+  const secret = await getEnvValue(env, "TELEGRAM_WEBHOOK_SECRET");
+  if (!secret) return new Response("Not Found", { status: 404 });
+  if (request.method !== "POST") return new Response("Method Not Allowed", { status: 405 });
+  if (!env.YATI_KV) return new Response("KV not bound (YATI_KV)", { status: 500 });
+
+  const given = String(request.headers.get("X-Telegram-Bot-Api-Secret-Token") || "");
+  if (!given || !timingSafeEqual(given, secret)) {
+    log(env, "[YATI] /telegram/webhook secret invalido");
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  let update;
+  try {
+    update = JSON.parse(await safeText(request));
+  } catch {
+    return new Response("Bad Request", { status: 400 });
+  }
+
+  const msg = update?.message;
+  const chatId = msg?.chat?.id;
+  // Solo chats privados; grupos/canales y otros updates se ignoran (200 para que Telegram no reintente)
+  if (!chatId || msg.chat.type !== "private" || typeof msg.text !== "string") {
+    return new Response("OK");
+  }
+
+  const [word = "", ...rest] = msg.text.trim().split(/\s+/);
+  const command = word.toLowerCase().replace(/@.*$/, "");
+  // Deep link t.me/<bot>?start=Talca_5 llega como "/start Talca_5"
+  const args = rest.join(" ").replace(/_/g, " ").split(" ").filter(Boolean);
+  log(env, "[YATI] Comando Telegram", { command });
+
+  let reply;
+  if (command === "/start") {
+    reply = await telegramSubscribe(env, chatId, msg.from, args);
+  } else if (command === "/stop" || command === "/baja") {
+    const changed = await disableTargets(env, t => String(t.telegram_chat_id || "") === String(chatId));
+    reply = changed ? "YATI: baja confirmada, no recibirás más alertas. /start para volver." : "YATI: este chat no está suscrito.";
+  } else if (command === "/ultimo") {
+    reply = await inboundUltimo(env);
+  } else {
+    reply = TELEGRAM_HELP;
+  }
+
+  return new Response(JSON.stringify({ method: "sendMessage", chat_id: chatId, text: reply }), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+async function telegramSubscribe(env, chatId, from, args) {
+  const sub = await parseSubscriptionArgs(env, args, "/start Talca 5.5");
+  if (sub.error) return `YATI: ${sub.error}`;
+
+  const id = String(chatId);
+  const t = await upsertTarget(env, x => String(x.telegram_chat_id || "") === id, {
+    user: from?.username ? `@${from.username}` : String(from?.first_name || "telegram"),
+    telegram_chat_id: id,
+    channels: [{ type: "telegram", to: id }]
+  }, sub);
+  log(env, "[YATI] Alta por Telegram", { localidad: t.localidad, min_mag: t.min_mag });
+
+  const where = t.localidad || "todas las localidades";
+  return `YATI: alta OK. ${where}, desde M${Number(t.min_mag || 0).toFixed(1)}. /stop para salir.`;
+}
+
+/* ===============================
+   ✅ WEBHOOKS SALIENTES (oficinas de emergencia / sistemas asociados)
+   - Registro en KV webhook_endpoints_v1: [{ id, name, url, secret, min_mag, enabled }]
+   - Cada evento que pasa los umbrales -> POST JSON { type: "alert", event (normalizado), payload
+     (Railway: { evento, localidades }) } a cada endpoint habilitado con min_mag <= M
+   - Headers: X-Yati-Delivery (uuid, igual en reintentos), X-Yati-Timestamp,
+     X-Yati-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)> (mismo esquema que /ingest)
+   - Se envían después del despacho a targets, todos los endpoints en paralelo
+   - Reintentos: resilientFetch en el momento; luego el cron con backoff (WEBHOOK_BACKOFF_SEC * 2^n)
+     hasta WEBHOOK_MAX_ATTEMPTS. Ledger whd_v1:<evento>:<endpoint>, cola webhook_retry_v1
+   - Admin (Bearer ADMIN_TOKEN): GET/POST /admin/webhooks, POST /admin/webhooks/<id>/test|disable|enable
+================================= */
+
+async function dispatchWebhooks(env, eventId, ev, payload, mag) {
+  const endpoints = (await loadWebhookEndpoints(env)).filter(w => w.enabled && mag >= Number(w.min_mag || 0));
+  if (!endpoints.length) return;
+
+  const event = {
+    id: eventId,
+    source: ev.source,
+    origins: ev.originIds || [ev.id],
+    time: Number.isFinite(ev.time) ? new Date(ev.time).toISOString() : null,
+    lat: Number.isFinite(ev.lat) ? ev.lat : null,
+    lon: Number.isFinite(ev.lon) ? ev.lon : null,
+    depth_km: Number.isFinite(ev.depthKm) ? ev.depthKm : null,
+    mag: Number.isFinite(ev.mag) ? ev.mag : mag,
+    mag_type: ev.magType || null,
+    place: ev.place || null,
+    url: ev.url || null
+  };
+
+  const fresh = [];
+  for (const w of endpoints) {
+    // Un envío por evento y endpoint (el despacho puede reanudarse)
+    if (await loadWebhookDelivery(env, eventId, w.id)) continue;
+
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+      type: "alert",
+      delivery_id: deliveryId,
+      event,
+      payload: { evento: payload?.evento || {}, localidades: payload?.localidades || [] },
+      sent_at: new Date().toISOString()
+    });
+
+    await saveWebhookDelivery(env, eventId, w.id, { delivery_id: deliveryId, status: "pending", attempts: 0, body });
+    fresh.push({ eventId, w });
+  }
+
+  await attemptWebhookDeliveries(env, fresh);
+}
+
+// Todos los endpoints en paralelo (uno caído no atrasa a los demás); reintentos a webhook_retry_v1 en una escritura
+async function attemptWebhookDeliveries(env, items) {
+  if (!items.length) return;
+
+  const results = await Promise.all(items.map(({ eventId, w }) => attemptWebhookDelivery(env, eventId, w)));
+  const retries = results.filter(Boolean);
+  if (!retries.length) return;
+
+  const pending = await loadWebhookRetries(env);
+  const rest = pending.filter(x => !retries.some(r => r.eventId === x.eventId && r.endpointId === x.endpointId));
+  await saveWebhookRetries(env, [...rest, ...retries]);
+}
+
+// -> { eventId, endpointId, next_at } si queda para reintento
+async function attemptWebhookDelivery(env, eventId, w) {
+  const entry = await loadWebhookDelivery(env, eventId, w.id);
+  if (!entry || entry.status !== "pending") return null;
+
+  const attempts = Number(entry.attempts || 0) + 1;
+  const res = await postWebhook(env, w, entry.body, entry.delivery_id, "alert");
+
+  if (res.ok) {
+    await saveWebhookDelivery(env, eventId, w.id, { status: "delivered", attempts, last_status: res.status, last_error: null });
+    log(env, "[YATI] Webhook entregado", { eventId, endpoint: w.id, attempts });
+    return null;
+  }
+
+  const maxAttempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS || "6", 10);
+  if (attempts >= maxAttempts) {
+    await saveWebhookDelivery(env, eventId, w.id, { status: "failed", attempts, last_status: res.status, last_error: res.error });
+    log(env, "[YATI] Webhook agotado", { eventId, endpoint: w.id, attempts, err: res.error });
+    return null;
+  }
+
+  const backoffSec = parseInt(env.WEBHOOK_BACKOFF_SEC || "30", 10) * 2 ** (attempts - 1);
+  const nextAt = new Date(Date.now() + backoffSec * 1000).toISOString();
+  await saveWebhookDelivery(env, eventId, w.id, { attempts, last_status: res.status, last_error: res.error, next_at: nextAt });
+  log(env, "[YATI] Webhook fallido, reintento programado", { eventId, endpoint: w.id, attempts, nextAt, err: res.error });
+  return { eventId, endpointId: w.id, next_at: nextAt };
+}
+
+async function postWebhook(env, w, body, deliveryId, kind) {
+  const ts = Math.floor(Date.now() / 1000);
+  const signature = await hmacHex("SHA-256", w.secret, `${ts}.${body}`);
+
+  try {
+    const r = await resilientFetch(env, `webhook-${w.id}`, w.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "YATI-Worker/1.0",
+        "X-Yati-Event": kind,
+        "X-Yati-Delivery": deliveryId,
+        "X-Yati-Timestamp": String(ts),
+        "X-Yati-Signature": `sha256=${signature}`
+      },
+      body
+    }, { retries: 1, timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS || "5000", 10) });
+
+    const txt = await safeText(r);
+    return r.ok
+      ? { ok: true, status: r.status }
+      : { ok: false, status: r.status, error: `HTTP ${r.status} ${txt.slice(0, 200)}` };
+  } catch (e) {
+    return { ok: false, status: null, error: String(e).slice(0, 300) };
+  }
+}
+
+// Cron: reintentos vencidos
+async function retryWebhookDeliveries(env) {
+  const pending = await loadWebhookRetries(env);
+  const due = pending.filter(x => Date.now() >= Date.parse(x.next_at || ""));
+  if (!due.length) return;
+
+  await saveWebhookRetries(env, pending.filter(x => !due.includes(x)));
+
+  const endpoints = await loadWebhookEndpoints(env);
+  const items = [];
+  for (const item of due) {
+    const w = endpoints.find(x => x.id === item.endpointId);
+    if (!w?.enabled) {
+      await saveWebhookDelivery(env, item.eventId, item.endpointId, { status: "failed", last_error: "endpoint deshabilitado" });
+      continue;
+    }
+    items.push({ eventId: item.eventId, w });
+  }
+  await attemptWebhookDeliveries(env, items);
+}
+
+async function handleAdminWebhooks(request, env, url) {
+  const denied = await requireAdmin(request, env);
+  if (denied) return denied;
+  if (!env.YATI_KV) return new Response("KV not bound (YATI_KV)", { status: 500 });
+
+  const json = (data, status = 200) =>
+    new Response(JSON.stringify(data, null, 2), { status, headers: { "Content-Type": "application/json" } });
+
+  const endpoints = await loadWebhookEndpoints(env);
+  const parts = url.pathname.replace(/^\/admin\/webhooks\/?/, "").split("/").filter(Boolean);
+
+  // GET /admin/webhooks
+  if (!parts.length && request.method === "GET") {
+    return json({ ok: true, endpoints: endpoints.map(maskWebhookEndpoint) });
+  }
+
+  // POST /admin/webhooks { url, name?, min_mag? } -> el secreto se muestra solo aquí
+  if (!parts.length && request.method === "POST") {
+    let input;
+    try {
+      input = JSON.parse(await safeText(request));
+    } catch {
+      return json({ ok: false, error: "JSON invalido" }, 400);
+    }
+
+    let target;
+    try {
+      target = new URL(String(input?.url || ""));
+    } catch {}
+    if (target?.protocol !== "https:") return json({ ok: false, error: "url https requerida" }, 400);
+
+    const w = {
+      id: `wh_${randomHex(6)}`,
+      name: String(input?.name || target.hostname).slice(0, 80),
+      url: target.toString(),
+      secret: randomHex(32),
+      min_mag: Number.isFinite(Number(input?.min_mag)) ? Number(input.min_mag) : 0,
+      enabled: true,
+      created_at: new Date().toISOString()
+    };
+    await saveWebhookEndpoints(env, [...endpoints, w]);
+    log(env, "[YATI] Webhook registrado", { id: w.id, host: target.hostname });
+    return json({ ok: true, endpoint: w }, 201);
+  }
+
+  const w = endpoints.find(x => x.id === parts[0]);
+  if (!w) return json({ ok: false, error: "endpoint no existe" }, 404);
+  if (request.method !== "POST" || parts.length !== 2) return json({ ok: false, error: "ruta invalida" }, 404);
+
+  // POST /admin/webhooks/<id>/test
+  if (parts[1] === "test") {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({ type: "test", delivery_id: deliveryId, sent_at: new Date().toISOString() });
+    const res = await postWebhook(env, w, body, deliveryId, "test");
+    return json({ ok: res.ok, delivery_id: deliveryId, status: res.status, error: res.error || null });
+  }
+
+  // POST /admin/webhooks/<id>/disable | enable
+  if (parts[1] === "disable" || parts[1] === "enable") {
+    w.enabled = parts[1] === "enable";
+    w.updated_at = new Date().toISOString();
+    await saveWebhookEndpoints(env, endpoints);
+    log(env, "[YATI] Webhook actualizado", { id: w.id, enabled: w.enabled });
+    return json({ ok: true, endpoint: maskWebhookEndpoint(w) });
+  }
+
+  return json({ ok: false, error: "ruta invalida" }, 404);
+}
+
+function maskWebhookEndpoint(w) {
+  const { secret, ...rest } = w;
+  return { ...rest, secret_hint: `...${String(secret || "").slice(-4)}` };
+}
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function loadWebhookEndpoints(env) {
+  try {
+    const raw = await env.YATI_KV.get("webhook_endpoints_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveWebhookEndpoints(env, list) {
+  await env.YATI_KV.put("webhook_endpoints_v1", JSON.stringify(list));
+}
+
+async function loadWebhookDelivery(env, eventId, endpointId) {
+  try {
+    const raw = await env.YATI_KV.get(`whd_v1:${eventId}:${endpointId}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveWebhookDelivery(env, eventId, endpointId, patch) {
+  const prev = (await loadWebhookDelivery(env, eventId, endpointId)) || {};
+  await env.YATI_KV.put(`whd_v1:${eventId}:${endpointId}`, JSON.stringify({
+    ...prev,
+    ...patch,
+    updated_at: new Date().toISOString()
+  }), { expirationTtl: eventRecordTtl(env) });
+}
+
+async function loadWebhookRetries(env) {
+  try {
+    const raw = await env.YATI_KV.get("webhook_retry_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveWebhookRetries(env, list) {
+  await env.YATI_KV.put("webhook_retry_v1", JSON.stringify(list));
+}
+
+/* ===============================
+   ✅ EMAIL (suscriptores institucionales)
+   - Canal "email" en CHANNELS (channels: [{ type: "email", to: "ops@municipio.cl" }])
+   - HTML con la tabla completa de localidades / intensidad predicha + link al mapa, y texto plano
+   - Transporte: EMAIL_TRANSPORT = http (POST JSON { from, to, subject, html, text } a EMAIL_API_URL
+     con Bearer EMAIL_API_KEY) | stub (no envía: deja el correo en KV email_outbox_v1 para pruebas)
+================================= */
+
+function renderEmailMessage(env, d) {
+  if (!d.evento) return { subject: "YATI: alerta sísmica", text: d.message };
+
+  const p = longAlertParts(env, d);
+  const lat = safeNum(d.evento.lat);
+  const lon = safeNum(d.evento.lon);
+  const mapUrl = Number.isFinite(lat) && Number.isFinite(lon)
+    ? `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=8/${lat}/${lon}`
+    : "";
+
+  const rows = (Array.isArray(d.locs) ? d.locs : [])
+    .filter(x => x?.localidad)
+    .map(x => `<tr><td style="padding:4px 12px 4px 0">${escapeHtml(x.localidad)}</td>` +
+      `<td style="padding:4px 0"><b>${escapeHtml(x.intensidad_predicha ?? "?")}</b></td></tr>`)
+    .join("");
+
+  const html = `<!doctype html><html lang="es"><body style="font-family:Arial,sans-serif;color:#111">
+<h2 style="margin:0 0 8px">YATI: sismo M${escapeHtml(p.mag)}</h2>
+${p.dt !== "NA" ? `<p style="margin:0">Hora: ${escapeHtml(p.dt)}</p>` : ""}
+${p.ref ? `<p style="margin:0">Referencia: ${escapeHtml(p.ref)}</p>` : ""}
+${rows ? `<h3 style="margin:16px 0 4px">Intensidad estimada</h3>
+<table style="border-collapse:collapse"><tr><th align="left">Localidad</th><th align="left">Intensidad</th></tr>${rows}</table>` : ""}
+${mapUrl ? `<p><a href="${escapeHtml(mapUrl)}">Ver epicentro en el mapa</a></p>` : ""}
+${p.publicUrl ? `<p><a href="${escapeHtml(p.publicUrl)}">Más información</a></p>` : ""}
+</body></html>`;
+
+  const text = buildLongAlertText(p) + (mapUrl ? `\nMapa: ${mapUrl}` : "");
+  return { subject: `YATI: sismo M${p.mag}${p.ref ? ` - ${p.ref}` : ""}`.slice(0, 150), html, text };
+}
+
+// message: { subject, html, text } del renderer o texto plano (correcciones / anulaciones)
+async function sendEmail(env, to, message) {
+  const mail = typeof message === "string"
+    ? { subject: message.split("\n")[0].slice(0, 150), text: message }
+    : message;
+  const from = await getEnvValue(env, "EMAIL_FROM");
+  const transport = String(env.EMAIL_TRANSPORT || "http").toLowerCase();
+
+  if (transport === "stub") {
+    const raw = await env.YATI_KV.get("email_outbox_v1");
+    const outbox = raw ? JSON.parse(raw) : [];
+    const id = crypto.randomUUID();
+    outbox.unshift({ id, from, to, ...mail, queued_at: new Date().toISOString() });
+    await env.YATI_KV.put("email_outbox_v1", JSON.stringify(outbox.slice(0, 20)));
+    log(env, "[YATI] Email (stub) guardado en email_outbox_v1", { to, subject: mail.subject });
+    return JSON.stringify({ id });
+  }
+
+  const apiUrl = env.EMAIL_API_URL || "https://api.resend.com/emails";
+  const apiKey = await getEnvValue(env, "EMAIL_API_KEY");
+  if (!apiKey || !from) throw new Error("Falta EMAIL_API_KEY o EMAIL_FROM. Revisa Secrets Store bindings.");
+
+  const r = await fetch(apiUrl, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ from, to: [to], subject: mail.subject, html: mail.html, text: mail.text })
+  });
+
+  const txt = await safeText(r);
+  if (!r.ok) {
+    const err = new Error(`Email no OK: ${r.status} ${txt?.slice(0, 300)}`);
+    err.status = r.status;
+    if (r.status === 429) {
+      err.code = "RATE_LIMITED";
+      const retryAfter = Number(r.headers.get("Retry-After"));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+    }
+    throw err;
+  }
+  return txt;
+}
+
+/* ===============================
+   ✅ SLACK / DISCORD (incoming webhooks del equipo)
+   - Resumen por evento al terminar el despacho en SLACK_WEBHOOK_URL y/o DISCORD_WEBHOOK_URL:
+     magnitud, referencia, hora, top CHAT_TOP_N localidades y envíos OK / fallidos / desconocidos
+   - Problemas del pipeline (fuentes sin datos, Railway no OK, errores de proveedor, dead-letters)
+     van a OPS_WEBHOOK_URL, máximo uno por tipo cada OPS_NOTIFY_THROTTLE_MIN (KV ops_notify_v1:<tipo>)
+   - Formato según la URL: discord.com -> embeds; el resto -> Slack blocks
+   - Un webhook caído solo se registra en el log (nunca frena el despacho)
+================================= */
+
+async function postDispatchSummary(env, rec, tally) {
+  const urls = [await getEnvValue(env, "SLACK_WEBHOOK_URL"), await getEnvValue(env, "DISCORD_WEBHOOK_URL")].filter(Boolean);
+  if (!urls.length) return;
+
+  const d = rec.dispatch || {};
+  const evento = d.evento || {};
+  const M = safeNum(evento.magnitud ?? rec.mag);
+  const topN = parseInt(env.CHAT_TOP_N || "10", 10);
+  const locs = (Array.isArray(d.locs) ? d.locs : []).filter(x => x?.localidad).slice(0, topN);
+
+  const card = {
+    title: `YATI: sismo M${Number.isFinite(M) ? M.toFixed(1) : "?"}`,
+    color: tally.sent > 0 ? (tally.failed > 0 ? 0xf2a900 : 0x2eb67d) : 0xe01e5a,
+    fields: [
+      ["Referencia", String(evento.Referencia || "").trim() || "-"],
+      ["Hora", formatFechaHora(evento.FechaHora)],
+      ["Enviados", String(tally.sent)],
+      ["Fallidos", String(tally.failed)],
+      ["Desconocidos", String(tally.unknown)]
+    ],
+    table: locs.map(x => [String(x.localidad), String(x.intensidad_predicha ?? "?")]),
+    link: env.WORKER_PUBLIC_URL ? env.WORKER_PUBLIC_URL.replace(/\/$/, "") + "/public" : ""
+  };
+
+  for (const url of urls) await postChatWebhook(env, url, card);
+}
+
+// kind: "sources" | "railway" | "delivery" | "dead-letter" (throttle independiente por tipo)
+async function notifyOps(env, kind, text, extra = {}) {
+  const url = await getEnvValue(env, "OPS_WEBHOOK_URL");
+  if (!url || !env.YATI_KV) return;
+
+  const throttleKey = `ops_notify_v1:${kind}`;
+  if (await env.YATI_KV.get(throttleKey)) return;
+  const throttleSec = Math.max(60, parseInt(env.OPS_NOTIFY_THROTTLE_MIN || "15", 10) * 60);
+  await env.YATI_KV.put(throttleKey, new Date().toISOString(), { expirationTtl: throttleSec });
+
+  await postChatWebhook(env, url, {
+    title: `YATI ops: ${text}`,
+    color: 0xe01e5a,
+    fields: Object.entries(extra)
+      .filter(([, v]) => v !== undefined && v !== null && v !== "")
+      .map(([k, v]) => [k, String(v).slice(0, 300)]),
+    table: [],
+    link: ""
+  });
+}
+
+async function postChatWebhook(env, url, card) {
+  const discord = /^https:\/\/(\w+\.)?discord(app)?\.com\//.test(url);
+  const table = card.table.length
+    ? "```\n" + card.table.map(([a, b]) => `${a.slice(0, 28).padEnd(28)} ${b}`).join("\n") + "\n```"
+    : "";
+
+  const body = discord
+    ? {
+        embeds: [{
+          title: card.title,
+          url: card.link || undefined,
+          color: card.color,
+          description: table ? `Intensidad estimada\n${table}` : undefined,
+          fields: card.fields.map(([name, value]) => ({ name, value, inline: true })),
+          timestamp: new Date().toISOString()
+        }]
+      }
+    : {
+        text: card.title,
+        blocks: [
+          { type: "header", text: { type: "plain_text", text: card.title.slice(0, 150) } },
+          ...(card.fields.length
+            ? [{ type: "section", fields: card.fields.slice(0, 10).map(([k, v]) => ({ type: "mrkdwn", text: `*${k}*\n${v}` })) }]
+            : []),
+          ...(table ? [{ type: "section", text: { type: "mrkdwn", text: `*Intensidad estimada*\n${table}` } }] : []),
+          ...(card.link ? [{ type: "context", elements: [{ type: "mrkdwn", text: `<${card.link}|Más información>` }] }] : [])
+        ]
+      };
+
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    if (!r.ok) log(env, "[YATI] Webhook de chat no OK", { status: r.status, res: (await safeText(r)).slice(0, 200) });
+  } catch (e) {
+    log(env, "[YATI] Error webhook de chat", { err: String(e) });
+  }
+}
+
+/* ===============================
+   ✅ WEB PUSH (visitantes de /public)
+   - GET /sw.js: service worker; en "push" pide GET /push/latest y muestra la notificación
+   - GET /push.js: botón "Activar alertas" que /public inyecta si hay VAPID_PUBLIC_KEY
+   - POST /push/subscribe { subscription, localidad?, min_mag? } / POST /push/unsubscribe { endpoint }
+     -> KV push_sub_v1:<sha256(endpoint)> (una clave por navegador, expira en PUSH_SUB_TTL_DAYS;
+     endpoint / localidad / min_mag también en la metadata, así el list filtra sin un get por clave).
+     Solo push services conocidos (FCM, Mozilla, Apple, WNS), claves p256dh / auth válidas,
+     PUSH_SUBSCRIBE_PER_IP_HOUR por IP y PUSH_MAX_SUBSCRIPTIONS en total
+   - Push sin payload (sin cifrado aes128gcm): solo VAPID (JWT ES256 firmado con VAPID_PRIVATE_KEY)
+   - Cada evento que pasa los umbrales se notifica una vez, después del despacho a targets:
+     lotes de PUSH_BATCH_SIZE suscripciones por ALERT_QUEUE (sin cola: en el tick), ledger
+     push_v1:<evento>:<lote>; push_sent_at en el registro recién cuando todos los lotes terminaron.
+     404/410 del push service -> la suscripción se borra
+================================= */
+
+const PUSH_SW_JS = `self.addEventListener("push", (event) => {
+  event.waitUntil((async () => {
+    let n = { title: "YATI", body: "Nuevo sismo", url: "/public" };
+    try {
+      const r = await fetch("/push/latest", { cache: "no-store" });
+      if (r.ok) n = { ...n, ...(await r.json()) };
+    } catch {}
+    await self.registration.showNotification(n.title, { body: n.body, tag: n.event_id || "yati", data: { url: n.url } });
+  })());
+});
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(clients.openWindow(event.notification.data?.url || "/public"));
+});
+`;
+
+const PUSH_CLIENT_JS = `(() => {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) return;
+  const b64 = (s) => Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+  const btn = document.createElement("button");
+  btn.textContent = "🔔 Activar alertas";
+  btn.style.cssText = "position:fixed;right:16px;bottom:16px;z-index:9999;padding:10px 14px;border:0;border-radius:8px;background:#d32f2f;color:#fff;font-size:15px;cursor:pointer";
+  btn.onclick = async () => {
+    try {
+      const key = (await (await fetch("/push/vapid-public-key")).json()).key;
+      const reg = await navigator.serviceWorker.register("/sw.js");
+      const subscription = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: b64(key) });
+      const localidad = prompt("Localidad (vacío = todas):", "") || "";
+      const r = await fetch("/push/subscribe", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ subscription, localidad }) });
+      btn.textContent = r.ok ? "✅ Alertas activadas" : "No se pudo activar";
+    } catch (e) {
+      btn.textContent = "No se pudo activar";
+    }
+  };
+  document.body.appendChild(btn);
+})();
+`;
+
+async function handlePush(request, env, url) {
+  const json = (data, status = 200) =>
+    new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json", "Cache-Control": "no-store" } });
+
+  if (url.pathname === "/sw.js") {
+    return new Response(PUSH_SW_JS, { headers: { "Content-Type": "application/javascript; charset=utf-8", "Cache-Control": "no-cache" } });
+  }
+  if (url.pathname === "/push.js") {
+    return new Response(PUSH_CLIENT_JS, { headers: { "Content-Type": "application/javascript; charset=utf-8", "Cache-Control": "public, max-age=300" } });
+  }
+
+  const publicKey = await getEnvValue(env, "VAPID_PUBLIC_KEY");
+  if (!publicKey || !env.YATI_KV) return new Response("Not found", { status: 404 });
+
+  if (url.pathname === "/push/vapid-public-key") return json({ key: publicKey });
+
+  if (url.pathname === "/push/latest") {
+    const raw = await env.YATI_KV.get("push_latest_v1");
+    return raw ? json(JSON.parse(raw)) : json({ ok: false }, 404);
+  }
+
+  if (request.method !== "POST") return new Response("Method not allowed", { status: 405 });
+
+  let input;
+  try {
+    input = JSON.parse(await safeText(request));
+  } catch {
+    return json({ ok: false, error: "JSON invalido" }, 400);
+  }
+
+  if (url.pathname === "/push/subscribe") {
+    const sub = input?.subscription || {};
+    let endpoint;
+    try {
+      endpoint = new URL(String(sub.endpoint || ""));
+    } catch {}
+    if (endpoint?.protocol !== "https:" || !PUSH_SERVICE_HOSTS.some(re => re.test(endpoint.hostname))) {
+      return json({ ok: false, error: "subscription.endpoint no es un push service conocido" }, 400);
+    }
+    // La metadata de KV tiene tope de 1024 bytes
+    if (endpoint.toString().length > 800) return json({ ok: false, error: "subscription.endpoint demasiado largo" }, 400);
+    if (!(await validPushKeys(sub.keys))) return json({ ok: false, error: "subscription.keys (p256dh / auth) invalidas" }, 400);
+
+    // Tope por IP y por hora (KV push_rl_v1:<ip>, best-effort) y tope global de suscripciones
+    const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+    const rlKey = `push_rl_v1:${ip}`;
+    const used = parseInt((await env.YATI_KV.get(rlKey)) || "0", 10);
+    if (used >= parseInt(env.PUSH_SUBSCRIBE_PER_IP_HOUR || "10", 10)) {
+      return json({ ok: false, error: "demasiadas suscripciones, intenta mas tarde" }, 429);
+    }
+    await env.YATI_KV.put(rlKey, String(used + 1), { expirationTtl: 3600 });
+
+    const key = await pushSubKey(endpoint.toString());
+    const isNew = !(await env.YATI_KV.get(key));
+    const count = parseInt((await env.YATI_KV.get("push_sub_count_v1")) || "0", 10);
+    if (isNew && count >= parseInt(env.PUSH_MAX_SUBSCRIPTIONS || "50000", 10)) {
+      log(env, "[YATI] Push: tope de suscripciones alcanzado", { count });
+      return json({ ok: false, error: "sin cupo de suscripciones" }, 503);
+    }
+
+    const minMag = Number(input?.min_mag);
+    const record = {
+      endpoint: endpoint.toString(),
+      localidad: String(input?.localidad || "").trim().slice(0, 80),
+      min_mag: Number.isFinite(minMag) ? minMag : 0,
+      created_at: new Date().toISOString()
+    };
+    // Expira sola si el navegador no vuelve a suscribirse (el botón re-suscribe en cada visita)
+    await env.YATI_KV.put(key, JSON.stringify(record), {
+      expirationTtl: parseInt(env.PUSH_SUB_TTL_DAYS || "180", 10) * 86400,
+      metadata: { endpoint: record.endpoint, localidad: record.localidad, min_mag: record.min_mag }
+    });
+    if (isNew) await env.YATI_KV.put("push_sub_count_v1", String(count + 1));
+    log(env, "[YATI] Push suscrito", { host: endpoint.hostname, localidad: record.localidad, min_mag: record.min_mag });
+    return json({ ok: true }, 201);
+  }
+
+  if (url.pathname === "/push/unsubscribe") {
+    const key = await pushSubKey(String(input?.endpoint || ""));
+    if (await env.YATI_KV.get(key)) {
+      await env.YATI_KV.delete(key);
+      const count = parseInt((await env.YATI_KV.get("push_sub_count_v1")) || "0", 10);
+      await env.YATI_KV.put("push_sub_count_v1", String(Math.max(0, count - 1)));
+    }
+    return json({ ok: true });
+  }
+
+  return new Response("Not found", { status: 404 });
+}
+
+// Suscripciones por mensaje de cola / por lote inline (10 mensajes por batch del consumer = 500 fetch)
+const PUSH_BATCH_SIZE = 50;
+
+// Una vez por evento; el filtro (min_mag / localidad) es el mismo de los targets SMS.
+// Recorre push_sub_v1 con list (filtro con la metadata) y reparte lotes: a ALERT_QUEUE si hay cola,
+// si no se envían aquí. push_cursor / push_batches en el registro tras cada página: un tick cortado
+// retoma donde quedó y los lotes ya enviados se saltan por el ledger push_v1
+async function webPushBroadcast(env, eventId, content, locs) {
+  const publicKey = await getEnvValue(env, "VAPID_PUBLIC_KEY");
+  const privateKey = await getEnvValue(env, "VAPID_PRIVATE_KEY");
+  if (!publicKey || !privateKey) return;
+
+  const rec = await loadEventRecord(env, eventId);
+  if (rec?.push_sent_at || rec?.push_listed_at) return;
+
+  const mag = Number(content.evento.magnitud);
+  const p = longAlertParts(env, content);
+  await env.YATI_KV.put("push_latest_v1", JSON.stringify({
+    event_id: eventId,
+    title: `YATI: sismo M${p.mag}`,
+    body: [p.ref, p.locs.slice(0, 3).join(", ")].filter(Boolean).join("\n").slice(0, 240),
+    url: p.publicUrl || "/public",
+    at: new Date().toISOString()
+  }), { expirationTtl: eventRecordTtl(env) });
+
+  const locNames = new Set(locs.map(x => normLocalidad(x?.localidad || "")).filter(Boolean));
+  const queued = useAlertQueue(env);
+  let batch = Number(rec?.push_batches || 0);
+  let total = Number(rec?.push_total || 0);
+  let cursor = rec?.push_cursor || undefined;
+  do {
+    const page = await env.YATI_KV.list({ prefix: "push_sub_v1:", cursor });
+    total += page.keys.length;
+
+    const subs = [];
+    for (const k of page.keys) {
+      let s = k.metadata;
+      if (!s?.endpoint) {
+        // Suscripción guardada antes de la metadata: se lee el valor
+        try {
+          s = JSON.parse(await env.YATI_KV.get(k.name));
+        } catch {
+          s = null;
+        }
+      }
+      if (!s?.endpoint || mag < Number(s.min_mag || 0)) continue;
+      if (s.localidad && !locNames.has(normLocalidad(s.localidad))) continue;
+      subs.push({ key: k.name, endpoint: s.endpoint });
+    }
+
+    const batches = [];
+    for (let i = 0; i < subs.length; i += PUSH_BATCH_SIZE) {
+      batches.push({ type: "push", eventId, batch: batch++, subs: subs.slice(i, i + PUSH_BATCH_SIZE) });
+    }
+    if (queued) {
+      for (let i = 0; i < batches.length; i += 100) {
+        await env.ALERT_QUEUE.sendBatch(batches.slice(i, i + 100).map(body => ({ body })));
+      }
+    } else {
+      for (const b of batches) await sendPushBatch(env, b.eventId, b.batch, b.subs);
+    }
+
+    cursor = page.list_complete ? null : page.cursor;
+    await saveEventRecord(env, eventId, {
+      push_cursor: cursor,
+      push_batches: batch,
+      push_total: total,
+      ...(cursor ? {} : { push_listed_at: new Date().toISOString() })
+    });
+  } while (cursor);
+
+  // Recuento real para el tope de /push/subscribe
+  await env.YATI_KV.put("push_sub_count_v1", String(total));
+  log(env, queued ? "[YATI] Web Push encolado" : "[YATI] Web Push enviado en el tick", { eventId, batches: batch, subscriptions: total });
+  await finishWebPush(env, eventId);
+}
+
+// Un lote (mensaje de cola o inline); push_v1:<evento>:<lote> al terminar, con el resultado en la metadata
+async function sendPushBatch(env, eventId, batch, subs) {
+  const ledgerKey = `push_v1:${eventId}:${batch}`;
+  if (await env.YATI_KV.get(ledgerKey)) return;
+
+  const publicKey = await getEnvValue(env, "VAPID_PUBLIC_KEY");
+  const privateKey = await getEnvValue(env, "VAPID_PRIVATE_KEY");
+  if (!publicKey || !privateKey) return;
+
+  const subject = env.VAPID_SUBJECT || "mailto:alertas@yati.cl";
+  const jwts = new Map();
+  const tally = { sent: 0, failed: 0, expired: 0 };
+
+  await runPool(subs, parseInt(env.PUSH_CONCURRENCY || "10", 10), async (s) => {
+    try {
+      const audience = new URL(s.endpoint).origin;
+      if (!jwts.has(audience)) jwts.set(audience, vapidJwt(audience, subject, publicKey, privateKey));
+
+      const r = await fetch(s.endpoint, {
+        method: "POST",
+        headers: {
+          Authorization: `vapid t=${await jwts.get(audience)}, k=${publicKey}`,
+          TTL: String(parseInt(env.PUSH_TTL_SEC || "3600", 10)),
+          Urgency: "high",
+          "Content-Length": "0"
+        }
+      });
+
+      if (r.ok) {
+        tally.sent++;
+      } else if (r.status === 404 || r.status === 410) {
+        tally.expired++;
+        await env.YATI_KV.delete(s.key);
+      } else {
+        tally.failed++;
+        log(env, "[YATI] Push no OK", { status: r.status, res: (await safeText(r)).slice(0, 200) });
+      }
+    } catch (e) {
+      tally.failed++;
+      log(env, "[YATI] Error push", { err: String(e) });
+    }
+  });
+
+  await env.YATI_KV.put(ledgerKey, JSON.stringify(tally), { metadata: tally, expirationTtl: eventRecordTtl(env) });
+}
+
+// push_sent_at cuando el recorrido terminó y todos los lotes tienen entrada en el ledger.
+// list es eventualmente consistente: si el último lote aún no se ve queda sin marcar,
+// pero push_listed_at igual impide un segundo envío
+async function finishWebPush(env, eventId) {
+  const rec = await loadEventRecord(env, eventId);
+  if (!rec?.push_listed_at || rec.push_sent_at) return;
+
+  const tally = { batches: 0, sent: 0, failed: 0, expired: 0 };
+  let cursor;
+  do {
+    const page = await env.YATI_KV.list({ prefix: `push_v1:${eventId}:`, cursor });
+    for (const k of page.keys) {
+      tally.batches++;
+      tally.sent += Number(k.metadata?.sent || 0);
+      tally.failed += Number(k.metadata?.failed || 0);
+      tally.expired += Number(k.metadata?.expired || 0);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  if (tally.batches < Number(rec.push_batches || 0)) return;
+
+  await saveEventRecord(env, eventId, { push_sent_at: new Date().toISOString() });
+  log(env, "[YATI] Web Push terminado", { eventId, ...tally });
+}
+
+// JWT ES256 para VAPID; claves en base64url: pública sin comprimir (65 bytes), privada d (32 bytes)
+async function vapidJwt(audience, subject, publicKey, privateKey) {
+  const pub = base64UrlDecode(publicKey);
+  const key = await crypto.subtle.importKey("jwk", {
+    kty: "EC",
+    crv: "P-256",
+    x: base64UrlEncode(pub.slice(1, 33)),
+    y: base64UrlEncode(pub.slice(33, 65)),
+    d: privateKey
+  }, { name: "ECDSA", namedCurve: "P-256" }, false, ["sign"]);
+
+  const enc = new TextEncoder();
+  const header = base64UrlEncode(enc.encode(JSON.stringify({ typ: "JWT", alg: "ES256" })));
+  const claims = base64UrlEncode(enc.encode(JSON.stringify({
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: subject
+  })));
+
+  // WebCrypto entrega la firma en formato r||s (lo que pide JWS)
+  const sig = await crypto.subtle.sign({ name: "ECDSA", hash: "SHA-256" }, key, enc.encode(`${header}.${claims}`));
+  return `${header}.${claims}.${base64UrlEncode(new Uint8Array(sig))}`;
+}
+
+// FCM (Chrome / Edge / Android), Mozilla autopush, Apple (Safari), WNS (Windows)
+const PUSH_SERVICE_HOSTS = [
+  /^fcm\.googleapis\.com$/,
+  /^([\w-]+\.)*push\.services\.mozilla\.com$/,
+  /^([\w-]+\.)*push\.apple\.com$/,
+  /^([\w-]+\.)*notify\.windows\.com$/
+];
+
+// p256dh: punto P-256 sin comprimir (65 bytes, válido para ECDH); auth: 16 bytes
+async function validPushKeys(keys) {
+  try {
+    const p256dh = base64UrlDecode(keys?.p256dh || "");
+    const auth = base64UrlDecode(keys?.auth || "");
+    if (p256dh.length !== 65 || p256dh[0] !== 4 || auth.length !== 16) return false;
+    await crypto.subtle.importKey("raw", p256dh, { name: "ECDH", namedCurve: "P-256" }, false, []);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function pushSubKey(endpoint) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(endpoint)));
+  return "push_sub_v1:" + [...digest].map(b => b.toString(16).padStart(2, "0")).join("").slice(0, 32);
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(s) {
+  const b64 = String(s).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4)), c => c.charCodeAt(0));
+}
+
+/* ===============================
+   TEST ALERT
+================================= */
+
+async function testManualAlert(env, forceTo = "", customMsg = "") {
+  const defaultMsg = "YATI TEST | 14-Feb 21:09 | Test manual | OK";
+  const msgRaw =
+    (customMsg && customMsg.trim())
+      ? customMsg.trim()
+      : defaultMsg;
+
+  // ✅ ASCII + sin ¿¡!? + clamp
+  const msg = clampSmsAscii(env, toAscii(stripPunct(msgRaw)));
+
+  const toFixed = (forceTo || "").trim();
+
+  if (toFixed) {
+    await sendSms(env, toFixed, msg);
+    console.log("[TEST] Enviado a (forceTo):", toFixed);
+    return;
+  }
+
+  // Cada target por sus propios canales (Telegram / email no tienen phone); un fallo no corta el resto
+  const { CANAL } = readAlertConfig(env);
+  const targets = await loadTargets(env);
+  for (const t of targets) {
+    if (!t.enabled) continue;
+
+    const channels = targetChannels(t, CANAL).filter(ch => CHANNELS[ch.type]);
+    if (!channels.length) {
+      console.log("[TEST] Target sin canal soportado, omitido:", t.user || "(sin user)");
+      continue;
+    }
+
+    for (const ch of channels) {
+      try {
+        await CHANNELS[ch.type].send(env, ch, msg, {});
+        console.log("[TEST] Enviado a:", `${ch.type}:${ch.to}`);
+        break;
+      } catch (e) {
+        console.log("[TEST] Error enviando a:", `${ch.type}:${ch.to}`, String(e));
+      }
+    }
+  }
+}
+
+/* ===============================
+   HELPERS
+================================= */
 
 async function loadTargets(env) {
   try {
@@ -589,7 +4479,9 @@ async function loadTargets(env) {
     if (!raw) return [];
     const arr = JSON.parse(raw);
     if (!Array.isArray(arr)) return [];
+    // Se conservan campos extra (created_at, updated_at, ...) para que saveTargets no los pierda
     return arr.map(x => ({
+      ...x,
       user: x.user || "",
       phone: x.phone || "",
       min_mag: x.min_mag ?? 0,
@@ -602,6 +4494,22 @@ async function loadTargets(env) {
   }
 }
 
+async function saveTargets(env, targets) {
+  await env.YATI_KV.put("alert_targets_v1", JSON.stringify(targets));
+}
+
+// Distancia en superficie (km) entre dos puntos lat/lon
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
 /* ===============================
    MENSAJE COMPACTO (Trial-friendly)
 ================================= */
@@ -717,8 +4625,7 @@ function toAscii(input) {
   return s;
 }
 
-function clampSmsAscii(env, body) {
-  const maxLen = parseInt(env.SMS_MAX_LEN || "155", 10);
+function clampSmsAscii(env, body, maxLen = parseInt(env.SMS_MAX_LEN || "155", 10)) {
   let s = String(body || "");
 
   s = s.replace(/\s+/g, " ").trim();
@@ -735,26 +4642,211 @@ function clampSmsAscii(env, body) {
   return cut;
 }
 
+/* ===============================
+   ✅ SMS: PROVEEDORES CON FAILOVER
+   - SMS_PROVIDERS = "twilio,vonage,messagebird": orden de prioridad (solo los que tienen todas sus credenciales)
+   - Cada proveedor: { configured(env), send(env, to, body, opts) -> { sid } }
+   - Un error pasa al siguiente proveedor; errores del proveedor (red, 5xx, 429, 401/403) suman al
+     circuit breaker cb_v1:sms-<proveedor> y con el circuito abierto ese proveedor se prueba al final
+   - sendSms devuelve JSON { sid, provider }: deliverOne guarda el proveedor en dlv_v1
+   - StatusCallback (/twilio/status) y respuestas (/twilio/inbound) siguen siendo solo Twilio;
+     las llamadas de escalamiento también (twilioCall)
+================================= */
+
+const SMS_PROVIDERS = {
+  twilio: {
+    configured: (env) => hasEnvValues(env, ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN", "TWILIO_FROM_NUMBER"]),
+    send: async (env, to, body, opts) => {
+      const txt = await twilioSms(env, to, body, opts);
+      let sid = null;
+      try {
+        sid = JSON.parse(txt)?.sid || null;
+      } catch {}
+      return { sid };
+    }
+  },
+  vonage: {
+    configured: (env) => hasEnvValues(env, ["VONAGE_API_KEY", "VONAGE_API_SECRET", "VONAGE_FROM"]),
+    send: vonageSms
+  },
+  messagebird: {
+    configured: (env) => hasEnvValues(env, ["MESSAGEBIRD_ACCESS_KEY", "MESSAGEBIRD_ORIGINATOR"]),
+    send: messagebirdSms
+  }
+};
+
+// Proveedor configurado = todas sus credenciales presentes (si falta una, el failover no lo intenta)
+async function hasEnvValues(env, names) {
+  for (const name of names) {
+    if (!(await getEnvValue(env, name))) return false;
+  }
+  return true;
+}
+
+async function sendSms(env, to, body, opts = {}) {
+  const order = String(env.SMS_PROVIDERS || "twilio").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  const candidates = [];
+  for (const name of order) {
+    if (!SMS_PROVIDERS[name] || !(await SMS_PROVIDERS[name].configured(env))) continue;
+    const breaker = await loadBreaker(env, `sms-${name}`);
+    const open = breaker.state === "open" && Date.now() < Date.parse(breaker.opened_until || "");
+    candidates.push({ name, breaker, open });
+  }
+  if (!candidates.length) throw new Error("Sin proveedor SMS configurado (SMS_PROVIDERS). Revisa Secrets Store bindings.");
+
+  // Circuito abierto: al final, pero se intenta igual si todos los demás fallan
+  candidates.sort((a, b) => Number(a.open) - Number(b.open));
+
+  const errors = [];
+  let lastErr = null;
+
+  for (const { name, breaker } of candidates) {
+    try {
+      const res = await SMS_PROVIDERS[name].send(env, to, body, opts);
+      await recordBreakerSuccess(env, `sms-${name}`, breaker);
+      if (errors.length) log(env, "[YATI] SMS enviado por proveedor alternativo", { to, provider: name, errors });
+      return JSON.stringify({ sid: res?.sid || null, provider: name });
+    } catch (e) {
+      lastErr = e;
+      errors.push(`${name}: ${String(e).slice(0, 200)}`);
+      if (!e.status || e.status >= 500 || [401, 403, 429].includes(e.status)) {
+        await recordBreakerFailure(env, `sms-${name}`, breaker, e);
+      }
+      log(env, "[YATI] Proveedor SMS fallo", { to, provider: name, status: e.status ?? null, err: String(e) });
+    }
+  }
+
+  if (errors.length === 1) throw lastErr;
+  const err = new Error(`SMS no OK en todos los proveedores: ${errors.join(" | ")}`);
+  err.status = lastErr.status;
+  err.code = lastErr.code;
+  err.retryAfterMs = lastErr.retryAfterMs;
+  throw err;
+}
+
+// Vonage SMS API: responde 200 aun con error; el estado va en messages[].status ("0" = OK, "1" = throttled)
+async function vonageSms(env, to, body) {
+  const apiKey = await getEnvValue(env, "VONAGE_API_KEY");
+  const apiSecret = await getEnvValue(env, "VONAGE_API_SECRET");
+  const from = await getEnvValue(env, "VONAGE_FROM");
+  if (!apiKey || !apiSecret || !from) throw new Error("Faltan credenciales Vonage (KEY/SECRET/FROM). Revisa Secrets Store bindings.");
+
+  const form = new URLSearchParams({
+    api_key: apiKey,
+    api_secret: apiSecret,
+    from: String(from).trim(),
+    to: String(to).replace(/[^\d]/g, ""),
+    text: String(body)
+  });
+
+  const r = await fetch("https://rest.nexmo.com/sms/json", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: form.toString()
+  });
+
+  const txt = await safeText(r);
+  let msg = null;
+  try {
+    msg = JSON.parse(txt)?.messages?.[0] || null;
+  } catch {}
+
+  if (!r.ok || String(msg?.status) !== "0") {
+    const err = new Error(`Vonage SMS no OK: ${r.status} ${msg?.["error-text"] || txt?.slice(0, 300)}`);
+    err.status = r.ok ? (String(msg?.status) === "1" ? 429 : 400) : r.status;
+    if (err.status === 429) err.code = "RATE_LIMITED";
+    throw err;
+  }
+  return { sid: msg["message-id"] || null };
+}
+
+async function messagebirdSms(env, to, body) {
+  const accessKey = await getEnvValue(env, "MESSAGEBIRD_ACCESS_KEY");
+  const originator = await getEnvValue(env, "MESSAGEBIRD_ORIGINATOR");
+  if (!accessKey || !originator) throw new Error("Faltan credenciales MessageBird (ACCESS_KEY/ORIGINATOR). Revisa Secrets Store bindings.");
+
+  const r = await fetch("https://rest.messagebird.com/messages", {
+    method: "POST",
+    headers: { Authorization: `AccessKey ${accessKey}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      originator: String(originator).trim(),
+      recipients: [String(to).replace(/[^\d]/g, "")],
+      body: String(body)
+    })
+  });
+
+  const txt = await safeText(r);
+  if (!r.ok) {
+    const err = new Error(`MessageBird SMS no OK: ${r.status} ${txt?.slice(0, 300)}`);
+    err.status = r.status;
+    if (r.status === 429) err.code = "RATE_LIMITED";
+    throw err;
+  }
+
+  let sid = null;
+  try {
+    sid = JSON.parse(txt)?.id || null;
+  } catch {}
+  return { sid };
+}
+
 /* ===============================
    TWILIO (Secrets Store compatible)
 ================================= */
 
 // Twilio SMS
-async function twilioSms(env, to, body) {
+async function twilioSms(env, to, body, opts = {}) {
+  const from = await getEnvValue(env, "TWILIO_FROM_NUMBER");
+  return await twilioMessages(env, "SMS", {
+    To: String(to).trim(),
+    From: String(from || "").trim(),
+    Body: String(body)
+  }, opts);
+}
+
+// WhatsApp por el mismo endpoint Messages, con direcciones "whatsapp:+56...".
+// Con plantilla aprobada (TWILIO_WHATSAPP_CONTENT_SID) usa ContentSid + ContentVariables;
+// sin plantilla, Body libre (solo entrega dentro de la ventana de 24 h de WhatsApp)
+async function twilioWhatsApp(env, to, message, opts = {}) {
+  const from = await getEnvValue(env, "TWILIO_WHATSAPP_FROM");
+  const msg = typeof message === "string" ? { body: message } : message;
+  const contentSid = String(env.TWILIO_WHATSAPP_CONTENT_SID || "").trim();
+
+  const fields = {
+    To: whatsappAddress(to),
+    From: from ? whatsappAddress(from) : ""
+  };
+  if (contentSid && msg.variables) {
+    fields.ContentSid = contentSid;
+    fields.ContentVariables = JSON.stringify(msg.variables);
+  } else {
+    fields.Body = msg.body;
+  }
+
+  return await twilioMessages(env, "WhatsApp", fields, opts);
+}
+
+function whatsappAddress(n) {
+  const s = String(n || "").trim();
+  return s.startsWith("whatsapp:") ? s : `whatsapp:${s}`;
+}
+
+async function twilioMessages(env, kind, fields, opts = {}) {
   const sid = await getEnvValue(env, "TWILIO_ACCOUNT_SID");
   const token = await getEnvValue(env, "TWILIO_AUTH_TOKEN");
-  const from = await getEnvValue(env, "TWILIO_FROM_NUMBER");
 
-  if (!sid || !token || !from) {
-    throw new Error("Faltan credenciales Twilio (SID/TOKEN/FROM). Revisa Secrets Store bindings.");
+  if (!sid || !token || !fields.From) {
+    throw new Error(`Faltan credenciales Twilio ${kind} (SID/TOKEN/FROM). Revisa Secrets Store bindings.`);
   }
 
   const url = `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`;
 
   const form = new URLSearchParams();
-  form.set("To", String(to).trim());
-  form.set("From", String(from).trim());
-  form.set("Body", String(body));
+  for (const [k, v] of Object.entries(fields)) {
+    if (v !== undefined && v !== null && v !== "") form.set(k, String(v));
+  }
+  if (opts.statusCallback) form.set("StatusCallback", opts.statusCallback);
 
   const auth = btoa(`${sid}:${token}`);
 
@@ -769,13 +4861,13 @@ async function twilioSms(env, to, body) {
 
   const txt = await safeText(r);
   if (!r.ok) {
-    throw new Error(`Twilio SMS no OK: ${r.status} ${txt?.slice(0, 300)}`);
+    throw twilioError(kind, r, txt);
   }
   return txt;
 }
 
 // Twilio Call (opcional futuro)
-async function twilioCall(env, to, text) {
+async function twilioCall(env, to, text, opts = {}) {
   const sid = await getEnvValue(env, "TWILIO_ACCOUNT_SID");
   const token = await getEnvValue(env, "TWILIO_AUTH_TOKEN");
   const from = await getEnvValue(env, "TWILIO_FROM_NUMBER");
@@ -792,6 +4884,7 @@ async function twilioCall(env, to, text) {
   form.set("To", String(to).trim());
   form.set("From", String(from).trim());
   form.set("Url", twimlUrl.toString());
+  if (opts.statusCallback) form.set("StatusCallback", opts.statusCallback);
 
   const auth = btoa(`${sid}:${token}`);
 
@@ -805,18 +4898,59 @@ async function twilioCall(env, to, text) {
   });
 
   const txt = await safeText(r);
-  if (!r.ok) throw new Error(`Twilio CALL no OK: ${r.status} ${txt?.slice(0, 300)}`);
+  if (!r.ok) throw twilioError("CALL", r, txt);
   return txt;
 }
 
+// 429 (Too Many Requests) / 503: code RATE_LIMITED + retryAfterMs desde Retry-After (segundos o fecha HTTP)
+function twilioError(kind, r, txt) {
+  const err = new Error(`Twilio ${kind} no OK: ${r.status} ${txt?.slice(0, 300)}`);
+  err.status = r.status;
+
+  if (r.status === 429 || r.status === 503) {
+    err.code = "RATE_LIMITED";
+    const ra = String(r.headers.get("Retry-After") || "").trim();
+    const secs = Number(ra);
+    const at = Date.parse(ra);
+    if (ra && Number.isFinite(secs)) err.retryAfterMs = Math.max(0, secs * 1000);
+    else if (Number.isFinite(at)) err.retryAfterMs = Math.max(0, at - Date.now());
+  }
+  return err;
+}
+
 /* ===============================
    KV: last_seen / last_alerted
 ================================= */
 
-async function markSeen(env, eventId, mag) {
-  await env.YATI_KV.put("last_seen_event_id", String(eventId));
-  await env.YATI_KV.put("last_seen_mag", String(mag));
+async function markSeen(env, ev) {
+  const eventTime = Number.isFinite(ev.time) ? new Date(ev.time).toISOString() : "";
+
+  await env.YATI_KV.put("last_seen_event_id", String(ev.id));
+  await env.YATI_KV.put("last_seen_mag", String(ev.mag));
   await env.YATI_KV.put("last_seen_at", new Date().toISOString());
+  if (eventTime) await env.YATI_KV.put("last_seen_event_time", eventTime);
+
+  // Cursor propio de la fuente (id crudo de la fuente)
+  await env.YATI_KV.put(`cursor_v1:${ev.source}`, JSON.stringify({ id: ev.sourceId, time: eventTime }));
+}
+
+async function loadSourceCursor(env, source) {
+  try {
+    const raw = await env.YATI_KV.get(`cursor_v1:${source}`);
+    if (raw) return JSON.parse(raw);
+  } catch {}
+
+  // compat: antes de las fuentes múltiples el cursor de XOR era last_seen_event_id (id crudo)
+  if (source === "xor") {
+    const id = await env.YATI_KV.get("last_seen_event_id");
+    if (id && (!id.includes(":") || id.startsWith("xor:"))) {
+      return {
+        id: id.startsWith("xor:") ? id.slice(4) : id,
+        time: (await env.YATI_KV.get("last_seen_event_time")) || ""
+      };
+    }
+  }
+  return null;
 }
 
 async function markAlerted(env, eventId, mag, payloadId) {
@@ -826,6 +4960,127 @@ async function markAlerted(env, eventId, mag, payloadId) {
   await env.YATI_KV.put("last_alerted_at", new Date().toISOString());
 }
 
+/* ===============================
+   KV: registro por evento (event_v1:<id>) + pendientes
+   - state (máquina de estados): seen -> enriching -> dispatching -> done
+       enriching: esperando payload de Railway para ESTE evento (reintento hasta RAILWAY_READY_DEADLINE_SEC)
+       dispatching: enviando / reintentando envíos
+   - status (resultado): seen | alerted | no-selected | no-targets | below-threshold | stale | invalid
+       | retry | cancelled | enrich-timeout | undelivered
+================================= */
+
+const EVENT_FINAL_STATUSES = [
+  "alerted", "no-selected", "no-targets", "below-threshold", "stale", "invalid", "cancelled", "enrich-timeout",
+  "undelivered"
+];
+
+function eventRecordTtl(env) {
+  const days = parseInt(env.EVENT_RECORD_TTL_DAYS || "7", 10);
+  return Math.max(1, days) * 24 * 3600;
+}
+
+async function loadEventRecord(env, eventId) {
+  try {
+    const raw = await env.YATI_KV.get(`event_v1:${eventId}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveEventRecord(env, eventId, patch) {
+  const prev = (await loadEventRecord(env, eventId)) || {};
+  const rec = { ...prev, ...patch, id: String(eventId), updated_at: new Date().toISOString() };
+  await env.YATI_KV.put(`event_v1:${eventId}`, JSON.stringify(rec), {
+    expirationTtl: eventRecordTtl(env)
+  });
+  return rec;
+}
+
+// Estado final: guarda el registro y lo saca de pendientes
+async function finishEvent(env, eventId, patch) {
+  await saveEventRecord(env, eventId, { ...patch, state: "done" });
+  const pending = await loadPendingEventIds(env);
+  if (pending.includes(eventId)) {
+    await savePendingEventIds(env, pending.filter(id => id !== eventId));
+  }
+}
+
+// Sin resultado definitivo: queda pendiente para el próximo tick (state enriching / dispatching)
+async function retryEventLater(env, eventId, reason, patch = {}) {
+  const rec = await loadEventRecord(env, eventId);
+  await saveEventRecord(env, eventId, {
+    state: "enriching",
+    ...patch,
+    status: "retry",
+    retry_reason: reason,
+    attempts: Number(rec?.attempts || 0) + 1
+  });
+  await addPendingEventId(env, eventId);
+}
+
+async function addPendingEventId(env, eventId) {
+  const pending = await loadPendingEventIds(env);
+  if (!pending.includes(eventId)) {
+    await savePendingEventIds(env, [...pending, eventId]);
+  }
+}
+
+async function loadPendingEventIds(env) {
+  try {
+    const raw = await env.YATI_KV.get("pending_events_v1");
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function savePendingEventIds(env, ids) {
+  await env.YATI_KV.put("pending_events_v1", JSON.stringify(ids));
+}
+
+/* ===============================
+   KV: ledger de entrega por destinatario (dlv_v1:<evento>:<destinatario>)
+   - status: queued | sending | sent | failed | unknown | dead
+   - attempts, to, localidad, last_error, sent_at, sid
+   - channel / channel_to: canal y dirección por la que salió; channel_errors: canales que fallaron antes
+   - carrier_status / carrier_error: lo que informa Twilio vía /twilio/status
+   - checkin_status (pending | ok | help | timeout); calls / call_status / escalation (escalamiento)
+================================= */
+
+// intensidad_predicha puede venir como número o romano (Mercalli)
+function parseIntensity(v) {
+  const n = Number(v);
+  if (v !== null && v !== "" && Number.isFinite(n)) return n;
+
+  const romans = ["I", "II", "III", "IV", "V", "VI", "VII", "VIII", "IX", "X", "XI", "XII"];
+  const i = romans.indexOf(String(v ?? "").trim().toUpperCase());
+  return i >= 0 ? i + 1 : null;
+}
+
+function recipientKey(to) {
+  return String(to || "").replace(/[^\d+]/g, "");
+}
+
+async function loadDelivery(env, eventId, key) {
+  try {
+    const raw = await env.YATI_KV.get(`dlv_v1:${eventId}:${key}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveDelivery(env, eventId, key, patch) {
+  const prev = (await loadDelivery(env, eventId, key)) || {};
+  const entry = { ...prev, ...patch, updated_at: new Date().toISOString() };
+  await env.YATI_KV.put(`dlv_v1:${eventId}:${key}`, JSON.stringify(entry), {
+    expirationTtl: eventRecordTtl(env)
+  });
+  return entry;
+}
+
 /* ===============================
    SAFE TEXT
 ================================= */